@@ -0,0 +1,48 @@
+const fs = require('fs');
+
+/**
+ * A subset of puppeteer's Page API, implemented on top of a JavaScript DOM implementation (jsdom, happy-dom, ...),
+ * so the same test suites can run against both real browsers and DOM implementations.
+ */
+class DomPage {
+  /**
+   * @param {!function(): Object} createWindow Creates a new window containing an empty document.
+   * @param {!function(Object, string): *} runScript Executes a script in the context of a window.
+   */
+  constructor(createWindow, runScript) {
+    this._createWindow = createWindow;
+    this._runScript = runScript;
+    this._window = createWindow();
+  }
+
+  async goto() {
+    this._window = this._createWindow();
+  }
+
+  async addScriptTag({ path, content }) {
+    const script = path ? fs.readFileSync(path, 'utf8') : content;
+
+    this._runScript(this._window, script);
+  }
+
+  async evaluate(pageFunction, arg) {
+    const script = `(${pageFunction.toString()})(${JSON.stringify(arg)})`;
+    const result = await this._runScript(this._window, script);
+
+    // like puppeteer, only serializable values can be returned.
+    return result === void 0 ? result : JSON.parse(JSON.stringify(result));
+  }
+}
+
+class DomBrowser {
+  constructor(createWindow, runScript) {
+    this._createWindow = createWindow;
+    this._runScript = runScript;
+  }
+
+  async newPage() {
+    return new DomPage(this._createWindow, this._runScript);
+  }
+}
+
+module.exports = DomBrowser;
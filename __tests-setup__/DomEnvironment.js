@@ -0,0 +1,21 @@
+const NodeEnvironment = require('jest-environment-node');
+const DomBrowser = require('./DomBrowser');
+
+/**
+ * Creates a test environment that runs the browser test suites against a JavaScript DOM implementation
+ * (see ./dom-implementations) instead of puppeteer.
+ *
+ * @param {!{ name: string, createWindow: function(): Object, runScript: function(Object, string): * }} implementation
+ *  The DOM implementation.
+ * @returns {!Function} The test environment.
+ */
+module.exports = function makeDomEnvironment(implementation) {
+  return class DomEnvironment extends NodeEnvironment {
+    async setup() {
+      await super.setup();
+
+      this.global.__DOM_IMPLEMENTATION__ = implementation.name;
+      this.global.__BROWSER__ = new DomBrowser(implementation.createWindow, implementation.runScript);
+    }
+  };
+};
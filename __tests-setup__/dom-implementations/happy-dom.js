@@ -0,0 +1,17 @@
+const { Window } = require('happy-dom');
+const makeDomEnvironment = require('../DomEnvironment');
+
+module.exports = makeDomEnvironment({
+  name: 'happy-dom',
+
+  createWindow() {
+    const window = new Window();
+    window.document.write('<!DOCTYPE html><html><head></head><body></body></html>');
+
+    return window;
+  },
+
+  runScript(window, script) {
+    return window.eval(script);
+  },
+});
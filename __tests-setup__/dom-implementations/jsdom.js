@@ -0,0 +1,14 @@
+const { JSDOM } = require('jsdom');
+const makeDomEnvironment = require('../DomEnvironment');
+
+module.exports = makeDomEnvironment({
+  name: 'jsdom',
+
+  createWindow() {
+    return new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { runScripts: 'outside-only' }).window;
+  },
+
+  runScript(window, script) {
+    return window.eval(script);
+  },
+});
@@ -0,0 +1,20 @@
+const vm = require('vm');
+const { parseHTML } = require('linkedom');
+const makeDomEnvironment = require('../DomEnvironment');
+
+module.exports = makeDomEnvironment({
+  name: 'linkedom',
+
+  createWindow() {
+    const window = parseHTML('<!DOCTYPE html><html><head></head><body></body></html>').window;
+
+    // linkedom does not provide a JavaScript context, the window is used as the global object of a new one instead.
+    vm.createContext(window);
+
+    return window;
+  },
+
+  runScript(window, script) {
+    return vm.runInContext(script, window);
+  },
+});
@@ -0,0 +1,68 @@
+/*
+ * Unsafe values (what the DOM returns without this library) describe the behavior of the DOM implementation,
+ * not the library's. They are only asserted in real browsers: JavaScript DOM implementations (jsdom, happy-dom, ...)
+ * implement named properties partially, if at all.
+ */
+
+// any matcher (e.g. `.toEqual()`, `.not.toEqual()`) is accepted and does nothing.
+const ignoredExpectation = new Proxy(function ignoredMatcher() {}, {
+  get() {
+    return ignoredExpectation;
+  },
+  apply() {
+    return ignoredExpectation;
+  },
+});
+
+global.expectUnsafe = function expectUnsafe(value) {
+  if (!global.__DOM_IMPLEMENTATION__) {
+    return expect(value);
+  }
+
+  return ignoredExpectation;
+};
+
+/**
+ * Whether named elements override built-ins (e.g. <input name="action"> overriding form.action), as in browsers.
+ * No JavaScript DOM implementation lets them: jsdom and linkedom have no named properties, and happy-dom only exposes
+ * form controls whose names are not built-ins. The library's results (overrides found, elements hidden, ...) are then
+ * those of a DOM without overrides.
+ *
+ * @returns {boolean} true when running in a browser.
+ */
+global.overridesBuiltIns = function overridesBuiltIns() {
+  return !global.__DOM_IMPLEMENTATION__;
+};
+
+/**
+ * Declares a test that is skipped when running against one of the listed DOM implementations,
+ * because they lack (or break) a feature the test relies on. The reason must be documented alongside the test.
+ *
+ * @param {!Array<string>} implementations The names of the DOM implementations (see ./dom-implementations).
+ * @param {!string} name The name of the test.
+ * @param {!Function} fn The test.
+ * @returns {*} The result of it().
+ */
+global.itExceptIn = function itExceptIn(implementations, name, fn) {
+  if (implementations.includes(global.__DOM_IMPLEMENTATION__)) {
+    return it.skip(name, fn);
+  }
+
+  return it(name, fn);
+};
+
+/**
+ * Same as itExceptIn, for a whole test suite.
+ *
+ * @param {!Array<string>} implementations The names of the DOM implementations (see ./dom-implementations).
+ * @param {!string} name The name of the test suite.
+ * @param {!Function} fn The test suite.
+ * @returns {*} The result of describe().
+ */
+global.describeExceptIn = function describeExceptIn(implementations, name, fn) {
+  if (implementations.includes(global.__DOM_IMPLEMENTATION__)) {
+    return describe.skip(name, fn);
+  }
+
+  return describe(name, fn);
+};
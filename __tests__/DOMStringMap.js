@@ -0,0 +1,103 @@
+/**
+ * DOMStringMap (https://html.spec.whatwg.org/multipage/dom.html#domstringmap)
+ *
+ * Data attributes are exposed as own properties of element.dataset, and override the members of Object.prototype.
+ */
+
+describe('DOMStringMap', () => {
+  let page;
+  beforeAll(async () => {
+    page = await global.__BROWSER__.newPage();
+    await page.goto('about:blank');
+    await page.addScriptTag({ path: './dist/bundle.js' });
+  });
+
+  function getDatasetProperty(arg) {
+    return page.evaluate(({ html, key }) => {
+      document.body.innerHTML = html;
+
+      const unoverride = window['x-unoverride'];
+      const dataset = document.body.firstElementChild.dataset;
+
+      return {
+        unsafe: typeof dataset[key],
+        safe: typeof unoverride.getProperty(dataset, key),
+        has: unoverride.hasProperty(dataset, key),
+        entry: unoverride.getDatasetEntries(dataset)[key],
+      };
+    }, arg);
+  }
+
+  // linkedom datasets do not inherit from Object.prototype, there is nothing to override.
+  itExceptIn(['linkedom'], 'gets Object.prototype members that would otherwise be overridden by a data attribute', async () => {
+    const toString = await getDatasetProperty({
+      html: `
+        <div data-to-string="oops"></div>
+      `,
+      key: 'toString',
+    });
+
+    expectUnsafe(toString.unsafe).toEqual('string');
+    expect(toString.safe).toEqual('function');
+    expect(toString.has).toEqual(true);
+    expect(toString.entry).toEqual('oops');
+  });
+
+  it('gets data attributes that do not override anything', async () => {
+    const userId = await getDatasetProperty({
+      html: `
+        <div data-user-id="42"></div>
+      `,
+      key: 'userId',
+    });
+
+    expect(userId.unsafe).toEqual('string');
+    expect(userId.safe).toEqual('string');
+    expect(userId.has).toEqual(true);
+    expect(userId.entry).toEqual('42');
+  });
+
+  // linkedom datasets do not inherit from Object.prototype, there is nothing to override.
+  itExceptIn(['linkedom'], 'hides overrides from own property list', async () => {
+    const keys = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <div data-has-own-property="1" data-user-id="42"></div>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const dataset = document.body.firstElementChild.dataset;
+
+      return {
+        unsafe: Reflect.ownKeys(dataset),
+        // DOM implementations may store their internals under symbols.
+        safe: unoverride.getOwnKeys(dataset).filter(key => typeof key === 'string'),
+        entries: Object.keys(unoverride.getDatasetEntries(dataset)),
+      };
+    });
+
+    expectUnsafe(keys.unsafe).toEqual(['hasOwnProperty', 'userId']);
+    expect(keys.safe).toEqual(['userId']);
+    expect(keys.entries).toEqual(['hasOwnProperty', 'userId']);
+  });
+
+  // linkedom datasets do not inherit from Object.prototype, there is nothing to override.
+  itExceptIn(['linkedom'], 'is used by sanitizeNode', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <div data-to-string="oops" data-has-own-property="1" data-user-id="42"></div>
+      `;
+
+      const dataset = window['x-unoverride'].sanitizeNode(document.body.firstElementChild.dataset);
+
+      return {
+        toString: typeof dataset.toString,
+        hasUserId: dataset.hasOwnProperty('userId'),
+        userId: dataset.userId,
+      };
+    });
+
+    expect(result.toString).toEqual('function');
+    expect(result.hasUserId).toEqual(true);
+    expect(result.userId).toEqual('42');
+  });
+});
@@ -8,21 +8,18 @@ describe('Document', () => {
     page = await global.__BROWSER__.newPage();
     await page.goto('about:blank');
     await page.addScriptTag({ path: './dist/bundle.js' });
-    await page.evaluate(() => {
-      const script = document.createElement('script');
-
+    await page.addScriptTag({
       // language=JavaScript
-      script.innerHTML = `
+      content: `
         function stringify(val) {
           if (val === null || typeof val !== 'object') {
             return val;
           }
 
-          return String(val);
+          // String() is not used: some DOM implementations (happy-dom) stringify elements as HTML.
+          return Object.prototype.toString.call(val);
         }
-      `;
-
-      document.head.appendChild(script);
+      `,
     });
   });
 
@@ -47,7 +44,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLEmbedElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLEmbedElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -59,7 +56,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLFormElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLFormElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -71,10 +68,32 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object Window]'); // iframes give their content window.
+    expectUnsafe(nodeName.unsafe).toEqual('[object Window]'); // iframes give their content window.
     expect(nodeName.safe).toEqual('#document');
   });
 
+  // linkedom does not create windows for iframes.
+  itExceptIn(['linkedom'], 'gets the windows of iframes stored in expandos', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = '<iframe></iframe>';
+
+      const unoverride = window['x-unoverride'];
+      const frameWindow = document.querySelector('iframe').contentWindow;
+      document.frameWindow = frameWindow;
+
+      try {
+        return {
+          get: unoverride.getProperty(document, 'frameWindow') === frameWindow,
+          has: unoverride.hasProperty(document, 'frameWindow'),
+        };
+      } finally {
+        delete document.frameWindow;
+      }
+    });
+
+    expect(result).toEqual({ get: true, has: true });
+  });
+
   it('gets properties that would otherwise be overridden by a named image', async () => {
     const nodeName = await getDocumentProperty({
       html: `
@@ -83,7 +102,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLImageElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -96,7 +115,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLImageElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -108,7 +127,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLObjectElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLObjectElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -120,7 +139,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLObjectElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLObjectElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -137,7 +156,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLCollection]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLCollection]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -150,7 +169,7 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLCollection]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLCollection]');
     expect(nodeName.safe).toEqual('#document');
   });
 
@@ -174,11 +193,12 @@ describe('Document', () => {
       key: 'nodeName',
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLFormElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLFormElement]');
     expect(nodeName.safe).toEqual('#document');
   });
 
-  it('does not lose valid collections', async () => {
+  // happy-dom and linkedom do not implement document.images.
+  itExceptIn(['happy-dom', 'linkedom'], 'does not lose valid collections', async () => {
     const nodeName = await page.evaluate(() => {
       document.body.innerHTML = `
         <img />
@@ -192,11 +212,12 @@ describe('Document', () => {
       };
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLImageElement]');
     expect(nodeName.safe).toEqual('[object HTMLImageElement]');
   });
 
-  it('does not lose valid collections overridden by bad collection', async () => {
+  // happy-dom and linkedom do not implement document.images.
+  itExceptIn(['happy-dom', 'linkedom'], 'does not lose valid collections overridden by bad collection', async () => {
     const nodeName = await page.evaluate(() => {
       document.body.innerHTML = `
         <img />
@@ -212,10 +233,83 @@ describe('Document', () => {
       };
     });
 
-    expect(nodeName.unsafe).toEqual('[object HTMLFormElement]');
+    expectUnsafe(nodeName.unsafe).toEqual('[object HTMLFormElement]');
     expect(nodeName.safe).toEqual('[object HTMLImageElement]');
   });
 
+  it('explains which elements override which built-ins', async () => {
+    const overrides = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <embed name="nodeName" />
+        <img id="title" name="my-image" />
+        <object id="URL"></object>
+        <iframe name="domain"></iframe>
+        <form name="not-a-built-in"></form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+
+      function serialize(override) {
+        return override && {
+          key: override.key,
+          matches: override.matches.map(match => [String(match.element), match.rule]),
+        };
+      }
+
+      return {
+        // the order of the document's named properties is implementation-defined
+        all: unoverride.findOverrides(document).map(serialize).sort((a, b) => (a.key < b.key ? -1 : 1)),
+        nodeName: serialize(unoverride.explainOverride(document, 'nodeName')),
+        notABuiltIn: serialize(unoverride.explainOverride(document, 'not-a-built-in')),
+        notOverridden: serialize(unoverride.explainOverride(document, 'body')),
+      };
+    });
+
+    expect(overrides.all).toEqual(overridesBuiltIns() ? [
+      { key: 'URL', matches: [['[object HTMLObjectElement]', 'document-object-id']] },
+      { key: 'domain', matches: [['[object HTMLIFrameElement]', 'document-exposed-name']] },
+      { key: 'nodeName', matches: [['[object HTMLEmbedElement]', 'document-exposed-name']] },
+      { key: 'title', matches: [['[object HTMLImageElement]', 'document-named-image-id']] },
+    ] : []);
+
+    expect(overrides.nodeName).toEqual(overridesBuiltIns() ? overrides.all[2] : null);
+    expect(overrides.notABuiltIn).toEqual(null);
+    expect(overrides.notOverridden).toEqual(null);
+  });
+
+  // linkedom does not implement DOMParser, document.implementation or iframes.
+  itExceptIn(['linkedom'], 'gets properties of documents that are not the current one', async () => {
+    const titles = await page.evaluate(() => {
+      const unoverride = window['x-unoverride'];
+      const html = '<html><head><title>hello</title></head><body><form name="title"></form></body></html>';
+
+      const parsed = new DOMParser().parseFromString(html, 'text/html');
+
+      // happy-dom ignores the title given to createHTMLDocument.
+      const created = document.implementation.createHTMLDocument('');
+      created.title = 'hello';
+      created.body.innerHTML = '<form name="title"></form>';
+
+      document.body.innerHTML = '';
+      const iframe = document.createElement('iframe');
+      document.body.appendChild(iframe);
+      iframe.contentDocument.title = 'hello';
+      iframe.contentDocument.body.innerHTML = '<img name="title" />';
+
+      return [parsed, created, iframe.contentDocument].map(doc => ({
+        unsafe: window.stringify(doc.title),
+        safe: unoverride.getProperty(doc, 'title'),
+      }));
+    });
+
+    expectUnsafe(titles.map(title => title.unsafe)).toEqual([
+      '[object HTMLFormElement]',
+      '[object HTMLFormElement]',
+      '[object HTMLImageElement]',
+    ]);
+    expect(titles.map(title => title.safe)).toEqual(['hello', 'hello', 'hello']);
+  });
+
   it('hides overrides from own property list', async () => {
     const docProperties = await page.evaluate(() => {
       document.body.innerHTML = '';
@@ -243,7 +337,254 @@ describe('Document', () => {
     const cleanSlate = docProperties.clean;
     const badProperties = ['img12', 'img1', 'iframe1', 'nodeName', 'embed1', 'object1', 'object2'];
 
-    expect(docProperties.unsafe).toEqual(cleanSlate.concat(badProperties));
+    expectUnsafe(docProperties.unsafe).toEqual(cleanSlate.concat(badProperties));
     expect(docProperties.safe).toEqual(cleanSlate);
   });
+
+  it('calls methods shadowed by named elements', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form name="createElement"></form>
+        <img name="getElementById" />
+        <div id="target"></div>
+      `;
+
+      const unoverride = window['x-unoverride'];
+
+      return {
+        unsafe: window.stringify(document.getElementById),
+        created: unoverride.callMethod(document, 'createElement', 'span').tagName,
+        found: unoverride.getMethod(document, 'getElementById')('target') === document.body.querySelector('#target'),
+      };
+    });
+
+    expectUnsafe(result.unsafe).toEqual('[object HTMLImageElement]');
+    expect(result.created).toEqual('SPAN');
+    expect(result.found).toEqual(true);
+  });
+
+  // linkedom does not implement document.forms.
+  itExceptIn(['linkedom'], 'gives deep proxies that sanitize what is read through them', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <img name="body" />
+        <form><input name="action" /><input name="ownerDocument" /></form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const safeDocument = unoverride.sanitizeNode(document, { deep: true });
+      const safeForm = safeDocument.forms[0];
+      const form = document.querySelector('form');
+
+      return {
+        shallow: unoverride.sanitizeNode(document) === unoverride.sanitizeNode(document),
+        deep: unoverride.sanitizeNode(document, { deep: true }) === safeDocument,
+        rewrapped: unoverride.sanitizeNode(safeDocument, { deep: true }) === safeDocument,
+        body: window.stringify(safeDocument.body),
+        action: typeof safeForm.action,
+        ownerDocument: safeForm.ownerDocument === safeDocument,
+        queried: safeDocument.querySelector('form') === safeForm,
+        contains: safeDocument.body.contains(safeForm),
+        formSanitized: unoverride.isSanitized(safeForm),
+        formUnwrapped: unoverride.unwrap(safeForm) === form,
+        nodeSanitized: unoverride.isSanitized(form),
+        nodeUnwrapped: unoverride.unwrap(form) === form,
+        iterated: Array.from(safeDocument.forms).every(unoverride.isSanitized),
+      };
+    });
+
+    expect(result.shallow).toEqual(true);
+    expect(result.deep).toEqual(true);
+    expect(result.rewrapped).toEqual(true);
+    expect(result.body).toEqual('[object HTMLBodyElement]');
+    expect(result.action).toEqual('string');
+    expect(result.ownerDocument).toEqual(true);
+    expect(result.queried).toEqual(true);
+    expect(result.contains).toEqual(true);
+    expect(result.formSanitized).toEqual(true);
+    expect(result.formUnwrapped).toEqual(true);
+    expect(result.nodeSanitized).toEqual(false);
+    expect(result.nodeUnwrapped).toEqual(true);
+    expect(result.iterated).toEqual(true);
+  });
+
+  // linkedom does not implement forms.
+  itExceptIn(['linkedom'], 'gets named items, including those shadowed by own properties', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form name="location"></form>
+        <img name="logo" />
+        <img name="logo" />
+        <embed name="banner" />
+        <embed name="banner" />
+        <iframe name="frame"></iframe>
+        <object id="plugin"></object>
+        <div id="plain"></div>
+        <form name="title"></form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const iframe = document.querySelector('iframe');
+
+      // several elements are returned as an array, whether the named property is shadowed or not.
+      document.banner = 'expando';
+      const logos = unoverride.getNamedItem(document, 'logo');
+      const banners = unoverride.getNamedItem(document, 'banner');
+      delete document.banner;
+
+      return {
+        location: window.stringify(unoverride.getNamedItem(document, 'location')),
+        logos: Array.isArray(logos) && logos.map(window.stringify),
+        banners: Array.isArray(banners) && banners.map(window.stringify),
+        frame: unoverride.getNamedItem(document, 'frame') === (iframe.contentWindow || iframe),
+        plugin: window.stringify(unoverride.getNamedItem(document, 'plugin')),
+        plain: unoverride.getNamedItem(document, 'plain'),
+        title: window.stringify(unoverride.getNamedItem(document, 'title')),
+        names: Array.from(unoverride.getNamedItems(document).keys()),
+      };
+    });
+
+    // document.location is unforgeable: it always shadows the named property.
+    expect(result.location).toEqual('[object HTMLFormElement]');
+    expect(result.logos).toEqual(['[object HTMLImageElement]', '[object HTMLImageElement]']);
+    expect(result.banners).toEqual(['[object HTMLEmbedElement]', '[object HTMLEmbedElement]']);
+    expect(result.frame).toEqual(true);
+    expect(result.plugin).toEqual('[object HTMLObjectElement]');
+    expect(result.plain).toEqual(null);
+    expect(result.title).toEqual('[object HTMLFormElement]');
+    expect(result.names).toEqual(['location', 'logo', 'banner', 'frame', 'plugin', 'title']);
+  });
+
+  describe('exposure rules', () => {
+    // [description, html, rules by which the elements override nodeName, or null if it is not overridden]
+    const cases = [
+      ['an object with an id', '<object id="nodeName"></object>', ['document-object-id']],
+      ['an embed inside of an exposed object', '<object name="x"></object><object name="y"><embed name="nodeName" /></object>', null],
+      ['an embed inside of an object that has an embed descendant', '<object name="x"><embed name="nodeName" /></object>', [
+        'document-exposed-name',
+      ]],
+      ['an object that has an object descendant', '<object id="nodeName"><object name="x"></object></object>', null],
+      ['an object inside of an object that has an object descendant', '<object><object name="nodeName"></object></object>', [
+        'document-exposed-name',
+      ]],
+      ['an image with an id and an empty name', '<img id="nodeName" name="" />', null],
+      ['an image with an id and a name', '<img id="nodeName" name="x" />', ['document-named-image-id']],
+      ['a div with a name', '<div name="nodeName"></div>', null],
+      ['an input with a name', '<input name="nodeName" />', null],
+      ['a form with an id', '<form id="nodeName"></form>', null],
+      ['an iframe and a form sharing a name', '<iframe name="nodeName"></iframe><form name="nodeName"></form>', [
+        'document-exposed-name',
+        'document-exposed-name',
+      ]],
+    ];
+
+    cases.forEach(([description, html, rules]) => {
+      it(`handles ${description}`, async () => {
+        const result = await page.evaluate(arg => {
+          document.body.innerHTML = arg.html;
+
+          const unoverride = window['x-unoverride'];
+          const override = unoverride.explainOverride(document, 'nodeName');
+
+          return {
+            unsafe: typeof document.nodeName,
+            safe: unoverride.getProperty(document, 'nodeName'),
+            rules: override && override.matches.map(match => match.rule),
+          };
+        }, { html });
+
+        expectUnsafe(result.unsafe).toEqual(rules ? 'object' : 'string');
+        expect(result.safe).toEqual('#document');
+        expect(result.rules).toEqual(overridesBuiltIns() ? rules : null);
+      });
+    });
+
+    it('ignores expandos', async () => {
+      const result = await page.evaluate(() => {
+        document.body.innerHTML = '<form name="a"></form><form name="b"></form>';
+
+        // a (writable) collection defined by the page itself, rather than by named elements.
+        const forms = document.getElementsByTagName('form');
+        Object.defineProperty(document, 'nodeName', { value: forms, writable: true, configurable: true });
+
+        const unoverride = window['x-unoverride'];
+        const override = unoverride.explainOverride(document, 'nodeName');
+        const value = unoverride.getProperty(document, 'nodeName') === forms;
+
+        delete document.nodeName;
+
+        return { override, value };
+      });
+
+      expect(result.override).toEqual(null);
+      expect(result.value).toEqual(true);
+    });
+  });
+
+  describe('detectCapabilities', () => {
+    it('probes the named properties of the engine once', async () => {
+      const result = await page.evaluate(() => {
+        const unoverride = window['x-unoverride'];
+        const capabilities = unoverride.detectCapabilities(document);
+
+        return {
+          capabilities,
+          cached: unoverride.detectCapabilities(document.body) === capabilities,
+          frozen: Object.isFrozen(capabilities),
+        };
+      });
+
+      const spec = {
+        formControls: true,
+        formImages: true,
+        formPastNames: true,
+        documentEmbeds: true,
+        documentForms: true,
+        documentIframes: true,
+        documentImages: true,
+        documentImageIds: true,
+        documentObjects: true,
+        documentObjectIds: true,
+        getRootNode: true,
+      };
+      const none = {
+        formControls: false,
+        formImages: false,
+        formPastNames: false,
+        documentEmbeds: false,
+        documentForms: false,
+        documentIframes: false,
+        documentImages: false,
+        documentImageIds: false,
+        documentObjects: false,
+        documentObjectIds: false,
+        getRootNode: true,
+      };
+
+      // jsdom has no named properties, happy-dom only exposes form controls,
+      // and linkedom cannot be probed (it has no document.implementation): it is assumed to follow the spec.
+      const expected = {
+        jsdom: none,
+        'happy-dom': Object.assign({}, none, { formControls: true }),
+        linkedom: spec,
+      };
+
+      expect(result.capabilities).toEqual(expected[global.__DOM_IMPLEMENTATION__] || spec);
+      expect(Object.keys(result.capabilities).sort()).toEqual([
+        'documentEmbeds',
+        'documentForms',
+        'documentIframes',
+        'documentImageIds',
+        'documentImages',
+        'documentObjectIds',
+        'documentObjects',
+        'formControls',
+        'formImages',
+        'formPastNames',
+        'getRootNode',
+      ]);
+      expect(result.cached).toEqual(true);
+      expect(result.frozen).toEqual(true);
+    });
+  });
 });
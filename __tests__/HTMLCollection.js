@@ -0,0 +1,196 @@
+/**
+ * HTMLCollection, HTMLFormControlsCollection & RadioNodeList (https://dom.spec.whatwg.org/#interface-htmlcollection)
+ *
+ * Unlike forms and documents, the members of a collection take precedence over its entries,
+ * but its entries are exposed as own properties alongside its members.
+ */
+
+// linkedom does not implement collections.
+describeExceptIn(['linkedom'], 'HTMLCollection', () => {
+  let page;
+  beforeAll(async () => {
+    page = await global.__BROWSER__.newPage();
+    await page.goto('about:blank');
+    await page.addScriptTag({ path: './dist/bundle.js' });
+  });
+
+  function getCollectionProperty(arg) {
+    return page.evaluate(({ html, collection, key }) => {
+      document.body.innerHTML = html;
+
+      const unoverride = window['x-unoverride'];
+      const target = new Function(`return ${collection};`)();
+
+      function describe(val) {
+        if (typeof val !== 'object' || val === null) {
+          return typeof val === 'function' ? 'function' : val;
+        }
+
+        return Object.prototype.toString.call(val);
+      }
+
+      return {
+        unsafe: describe(target[key]),
+        safe: describe(unoverride.getProperty(target, key)),
+        item: describe(unoverride.getCollectionItem(target, key)),
+      };
+    }, arg);
+  }
+
+  it('hides named entries of form elements', async () => {
+    const username = await getCollectionProperty({
+      html: `
+        <form>
+          <input name="username" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements',
+      key: 'username',
+    });
+
+    expectUnsafe(username.unsafe).toEqual('[object HTMLInputElement]');
+    expect(username.safe).toEqual(void 0);
+    expect(username.item).toEqual('[object HTMLInputElement]');
+  });
+
+  it('hides indexed entries of form elements', async () => {
+    const first = await getCollectionProperty({
+      html: `
+        <form>
+          <input name="username" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements',
+      key: '0',
+    });
+
+    expectUnsafe(first.unsafe).toEqual('[object HTMLInputElement]');
+    expect(first.safe).toEqual(void 0);
+    expect(first.item).toEqual('[object HTMLInputElement]');
+  });
+
+  it('always gives access to prototype members', async () => {
+    const namedItem = await getCollectionProperty({
+      html: `
+        <form>
+          <input name="namedItem" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements',
+      key: 'namedItem',
+    });
+
+    expectUnsafe(namedItem.unsafe).toEqual('function');
+    expect(namedItem.safe).toEqual('function');
+    expect(namedItem.item).toEqual('[object HTMLInputElement]');
+  });
+
+  it('never returns prototype members as entries', async () => {
+    const length = await getCollectionProperty({
+      html: `
+        <form>
+          <input name="username" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements',
+      key: 'length',
+    });
+
+    expectUnsafe(length.unsafe).toEqual(1);
+    expect(length.safe).toEqual(1);
+    expect(length.item).toEqual(null);
+  });
+
+  // happy-dom returns a NodeList instead.
+  itExceptIn(['happy-dom'], 'returns a RadioNodeList for entries sharing the same name', async () => {
+    const color = await getCollectionProperty({
+      html: `
+        <form>
+          <input type="radio" name="color" value="red" />
+          <input type="radio" name="color" value="blue" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements',
+      key: 'color',
+    });
+
+    expectUnsafe(color.unsafe).toEqual('[object RadioNodeList]');
+    expect(color.safe).toEqual(void 0);
+    expect(color.item).toEqual('[object RadioNodeList]');
+  });
+
+  it('hides indexed entries of RadioNodeLists', async () => {
+    const first = await getCollectionProperty({
+      html: `
+        <form>
+          <input type="radio" name="color" value="red" />
+          <input type="radio" name="color" value="blue" />
+        </form>
+      `,
+      collection: 'document.querySelector("form").elements.namedItem("color")',
+      key: '1',
+    });
+
+    expectUnsafe(first.unsafe).toEqual('[object HTMLInputElement]');
+    expect(first.safe).toEqual(void 0);
+    expect(first.item).toEqual('[object HTMLInputElement]');
+  });
+
+  it('hides entries of document collections', async () => {
+    const login = await getCollectionProperty({
+      html: `
+        <form name="item"></form>
+        <form name="login"></form>
+      `,
+      collection: 'document.forms',
+      key: 'login',
+    });
+
+    expectUnsafe(login.unsafe).toEqual('[object HTMLFormElement]');
+    expect(login.safe).toEqual(void 0);
+    expect(login.item).toEqual('[object HTMLFormElement]');
+  });
+
+  it('hides entries from own property list', async () => {
+    const keys = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="username" />
+          <input name="password" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const elements = document.querySelector('form').elements;
+
+      return {
+        unsafe: Reflect.ownKeys(elements),
+        // DOM implementations may store their internals under symbols.
+        safe: unoverride.getOwnKeys(elements).filter(key => typeof key === 'string'),
+      };
+    });
+
+    expectUnsafe(keys.unsafe).toEqual(['0', '1', 'username', 'password']);
+    expect(keys.safe).toEqual([]);
+  });
+
+  it('is used by sanitizeNode', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="username" />
+        </form>
+      `;
+
+      const elements = window['x-unoverride'].sanitizeNode(document.querySelector('form').elements);
+
+      return {
+        has: 'username' in elements,
+        length: elements.length,
+      };
+    });
+
+    expect(result.has).toEqual(false);
+    expect(result.length).toEqual(1);
+  });
+});
@@ -15,21 +15,18 @@ describe('HTMLFormElement', () => {
     page = await global.__BROWSER__.newPage();
     await page.goto('about:blank');
     await page.addScriptTag({ path: './dist/bundle.js' });
-    await page.evaluate(() => {
-      const script = document.createElement('script');
-
+    await page.addScriptTag({
       // language=JavaScript
-      script.innerHTML = `
+      content: `
         function stringify(val) {
           if (val === null || typeof val !== 'object') {
             return val;
           }
 
-          return String(val);
+          // String() is not used: some DOM implementations (happy-dom) stringify elements as HTML.
+          return Object.prototype.toString.call(val);
         }
-      `;
-
-      document.head.appendChild(script);
+      `,
     });
   });
 
@@ -57,7 +54,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLInputElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -71,7 +68,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLInputElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -86,7 +83,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object RadioNodeList]');
+    expectUnsafe(className.unsafe).toEqual('[object RadioNodeList]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -101,7 +98,7 @@ describe('HTMLFormElement', () => {
       key: '1',
     });
 
-    expect(property.unsafe).toEqual('[object HTMLSelectElement]');
+    expectUnsafe(property.unsafe).toEqual('[object HTMLSelectElement]');
     expect(property.safe).toEqual(void 0);
   });
 
@@ -114,7 +111,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLInputElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -131,7 +128,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('hello');
+    expectUnsafe(className.unsafe).toEqual('hello');
     expect(className.safe).toEqual('hello');
   });
 
@@ -145,7 +142,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLImageElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -159,7 +156,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLImageElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -174,7 +171,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object RadioNodeList]');
+    expectUnsafe(className.unsafe).toEqual('[object RadioNodeList]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -190,7 +187,7 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLInputElement]');
     expect(className.safe).toEqual('hello');
   });
 
@@ -214,12 +211,13 @@ describe('HTMLFormElement', () => {
 
       return {
         unsafe: window.stringify(form[key]),
-        safe: window.stringify(unoverride.getProperty(form, key)),
+        // happy-dom tags instances of Image as "[object Image]", compare the image itself instead.
+        safe: unoverride.getProperty(form, key) === img,
       };
     });
 
-    expect(property.unsafe).toEqual('[object HTMLImageElement]');
-    expect(property.safe).toEqual('[object HTMLImageElement]');
+    expectUnsafe(property.unsafe).toEqual('[object HTMLImageElement]');
+    expect(property.safe).toEqual(true);
   });
 
   it('doesn\'t lose custom input properties', async () => {
@@ -241,12 +239,13 @@ describe('HTMLFormElement', () => {
 
       return {
         unsafe: window.stringify(form[key]),
-        safe: window.stringify(unoverride.getProperty(form, key)),
+        // linkedom does not tag elements, compare the input itself instead.
+        safe: unoverride.getProperty(form, key) === input,
       };
     });
 
-    expect(property.unsafe).toEqual('[object HTMLInputElement]');
-    expect(property.safe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(property.unsafe).toEqual('[object HTMLInputElement]');
+    expect(property.safe).toEqual(true);
   });
 
   it('works when vital properties are overridden', async () => {
@@ -263,10 +262,370 @@ describe('HTMLFormElement', () => {
       key: 'className',
     });
 
-    expect(className.unsafe).toEqual('[object HTMLInputElement]');
+    expectUnsafe(className.unsafe).toEqual('[object HTMLInputElement]');
     expect(className.safe).toEqual('hello');
   });
 
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'does not mutate the DOM when reading, checking or writing built-ins', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://google.com">
+          <input name="action" />
+          <input name="className" />
+          <input name="className" />
+          <img name="method" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const input = form.elements.namedItem('action');
+
+      const observer = new MutationObserver(() => {});
+      observer.observe(document.body, { childList: true, subtree: true });
+
+      input.focus();
+      const action = unoverride.getProperty(form, 'action');
+      unoverride.setProperty(form, 'className', 'hello');
+      const hasMethod = unoverride.hasProperty(form, 'method');
+      const first = unoverride.getProperty(form, '0');
+
+      const records = observer.takeRecords();
+      observer.disconnect();
+
+      return {
+        action,
+        className: form.getAttribute('class'),
+        hasMethod,
+        first: String(first),
+        mutations: records.length,
+        focused: document.activeElement === input,
+      };
+    });
+
+    expect(result.action).toEqual('http://google.com/');
+    expect(result.className).toEqual('hello');
+    expect(result.hasMethod).toEqual(true);
+    expect(result.first).toEqual('undefined');
+    expect(result.mutations).toEqual(0);
+    expect(result.focused).toEqual(true);
+  });
+
+  // happy-dom forms throw when a symbol is looked up on them, which breaks the invariant checks of proxies.
+  // linkedom does not implement form.elements.
+  itExceptIn(['happy-dom', 'linkedom'], 'gives a proxy that supports methods, symbols and strict mode', async () => {
+    const result = await page.evaluate(() => {
+      'use strict';
+
+      document.body.innerHTML = `
+        <form>
+          <input name="reset" value="default" />
+          <input name="appendChild" />
+          <input name="className" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const safeForm = unoverride.sanitizeNode(form);
+
+      // throws in strict mode if the set trap doesn't return true
+      safeForm.className = 'hello';
+
+      const input = form.elements.namedItem('reset');
+      input.value = 'changed';
+      safeForm.reset();
+
+      safeForm.appendChild(document.createElement('textarea'));
+
+      return {
+        className: form.getAttribute('class'),
+        resetValue: input.value,
+        lastChild: String(form.lastElementChild),
+        string: String(safeForm),
+        sameMethod: safeForm.reset === safeForm.reset,
+        prototype: Object.getPrototypeOf(safeForm) === HTMLFormElement.prototype,
+        extensible: Object.isExtensible(safeForm),
+      };
+    });
+
+    expect(result.className).toEqual('hello');
+    expect(result.resetValue).toEqual('default');
+    expect(result.lastChild).toEqual('[object HTMLTextAreaElement]');
+    expect(result.string).toEqual('[object HTMLFormElement]');
+    expect(result.sameMethod).toEqual(true);
+    expect(result.prototype).toEqual(true);
+    expect(result.extensible).toEqual(true);
+  });
+
+  // happy-dom forms throw when a read-only property is set, instead of rejecting the assignment.
+  // linkedom does not implement form.elements.
+  itExceptIn(['happy-dom', 'linkedom'], 'gives a proxy whose traps report whether they succeeded', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="action" />
+          <input name="elements" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const safeForm = unoverride.sanitizeNode(form);
+
+      Object.defineProperty(form, 'locked', { value: 'locked' });
+
+      let setError = null;
+      try {
+        unoverride.setProperty(form, 'elements', null);
+      } catch (e) {
+        setError = e.constructor.name;
+      }
+
+      return {
+        set: Reflect.set(safeForm, 'action', 'http://google.com/'),
+        // form.elements has no setter.
+        setReadOnly: Reflect.set(safeForm, 'elements', null),
+        define: Reflect.defineProperty(safeForm, 'action', { value: 'defined', configurable: true }),
+        defineLocked: Reflect.defineProperty(safeForm, 'locked', { value: 'redefined' }),
+        deleteDefined: Reflect.deleteProperty(safeForm, 'action'),
+        deleteLocked: Reflect.deleteProperty(safeForm, 'locked'),
+        action: unoverride.getProperty(form, 'action'),
+        setError,
+      };
+    });
+
+    expect(result).toEqual({
+      set: true,
+      setReadOnly: false,
+      define: true,
+      defineLocked: false,
+      deleteDefined: true,
+      deleteLocked: false,
+      action: 'http://google.com/',
+      setError: 'TypeError',
+    });
+  });
+
+  // linkedom does not reflect the action, method and target attributes.
+  itExceptIn(['linkedom'], 'hides overriding elements once for a whole sanitized scope', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://google.com" method="post" target="_blank">
+          <input name="action" />
+          <input name="method" />
+          <input name="target" />
+          <input name="username" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const html = form.innerHTML;
+
+      function getAddedPlaceholders(records) {
+        return records
+          .reduce((nodes, record) => nodes.concat(Array.from(record.addedNodes)), [])
+          .filter(node => node.nodeName === 'DIV');
+      }
+
+      const observer = new MutationObserver(() => {});
+      observer.observe(form, { childList: true });
+
+      const values = unoverride.withSanitized(form, safeForm => {
+        return [safeForm.action, safeForm.method, safeForm.target, String(safeForm.username)];
+      });
+
+      const firstPlaceholders = getAddedPlaceholders(observer.takeRecords());
+      unoverride.withSanitized(form, () => {});
+      const secondPlaceholders = getAddedPlaceholders(observer.takeRecords());
+      observer.disconnect();
+
+      let error = null;
+      try {
+        unoverride.withSanitized(form, () => {
+          throw new Error('oops');
+        });
+      } catch (e) {
+        error = e.message;
+      }
+
+      return {
+        values,
+        restored: form.innerHTML === html,
+        placeholderCount: firstPlaceholders.length,
+        reusedPlaceholders: secondPlaceholders.every(node => firstPlaceholders.includes(node)),
+        error,
+        restoredAfterError: form.innerHTML === html,
+      };
+    });
+
+    expect(result.values).toEqual(['http://google.com/', 'post', '_blank', 'undefined']);
+    expect(result.restored).toEqual(true);
+    expect(result.placeholderCount).toEqual(overridesBuiltIns() ? 3 : 0);
+    expect(result.reusedPlaceholders).toEqual(true);
+    expect(result.error).toEqual('oops');
+    expect(result.restoredAfterError).toEqual(true);
+  });
+
+  it('explains which elements override which built-ins', async () => {
+    const overrides = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="action" />
+          <input name="action" />
+          <select id="method"></select>
+          <img name="target" />
+          <img id="className" />
+          <input name="username" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      function serialize(override) {
+        return override && {
+          key: override.key,
+          matches: override.matches.map(match => [String(match.element), match.rule]),
+        };
+      }
+
+      return {
+        all: unoverride.findOverrides(form).map(serialize),
+        username: serialize(unoverride.explainOverride(form, 'username')),
+      };
+    });
+
+    expect(overrides.all).toEqual(overridesBuiltIns() ? [
+      {
+        key: 'action',
+        matches: [
+          ['[object HTMLInputElement]', 'form-control-name'],
+          ['[object HTMLInputElement]', 'form-control-name'],
+        ],
+      },
+      { key: 'method', matches: [['[object HTMLSelectElement]', 'form-control-id']] },
+      { key: 'target', matches: [['[object HTMLImageElement]', 'form-image-name']] },
+      { key: 'className', matches: [['[object HTMLImageElement]', 'form-image-id']] },
+    ] : []);
+
+    // not a built-in
+    expect(overrides.username).toEqual(null);
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'reports built-ins as they become overridden or freed', async () => {
+    const reports = await page.evaluate(async () => {
+      document.body.innerHTML = `
+        <form id="my-form">
+          <input name="username" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const reports = [];
+
+      function nextTick() {
+        return new Promise(resolve => setTimeout(resolve));
+      }
+
+      const unwatch = unoverride.watchOverrides(form, report => {
+        reports.push({
+          overridden: report.overridden.map(override => override.key),
+          freed: report.freed,
+        });
+      });
+
+      const submit = document.createElement('input');
+      submit.name = 'submit';
+      form.appendChild(submit);
+      await nextTick();
+
+      // sanitizer swaps must not be reported
+      unoverride.withSanitized(form, () => {});
+      await nextTick();
+
+      // owned from outside the form
+      document.body.insertAdjacentHTML('beforeend', '<input name="reset" form="my-form" />');
+      await nextTick();
+
+      form.elements.namedItem('username').name = 'action';
+      submit.remove();
+      await nextTick();
+
+      unwatch();
+      form.elements.namedItem('action').name = 'username';
+      await nextTick();
+
+      return reports;
+    });
+
+    expect(reports).toEqual(overridesBuiltIns() ? [
+      { overridden: ['submit'], freed: [] },
+      { overridden: ['reset'], freed: [] },
+      { overridden: ['action'], freed: ['submit'] },
+    ] : []);
+  });
+
+  // linkedom does not implement iframes.
+  itExceptIn(['linkedom'], 'sanitizes forms from other documents and realms', async () => {
+    const results = await page.evaluate(() => {
+      const html = `
+        <form class="hello">
+          <input name="className" />
+          <input name="ownerDocument" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+
+      const iframe = document.createElement('iframe');
+      document.body.innerHTML = '';
+      document.body.appendChild(iframe);
+      iframe.contentDocument.body.innerHTML = html;
+
+      const template = document.createElement('template');
+      template.innerHTML = html;
+
+      const forms = {
+        iframe: iframe.contentDocument.querySelector('form'),
+        domParser: new DOMParser().parseFromString(html, 'text/html').querySelector('form'),
+        template: template.content.querySelector('form'),
+      };
+
+      const results = {};
+      Object.keys(forms).forEach(key => {
+        const form = forms[key];
+
+        const observer = new MutationObserver(() => {});
+        observer.observe(form, { childList: true });
+
+        // withSanitized replaces the inputs with placeholders.
+        unoverride.withSanitized(form, () => {});
+        const records = observer.takeRecords();
+        observer.disconnect();
+
+        results[key] = {
+          className: unoverride.getProperty(form, 'className'),
+          placeholderDocument: records.length === 0
+            ? null
+            : records[0].addedNodes[0].ownerDocument === unoverride.getProperty(form, 'ownerDocument'),
+        };
+      });
+
+      return results;
+    });
+
+    ['iframe', 'domParser', 'template'].forEach(key => {
+      expect(results[key].className).toEqual('hello');
+      // no record when nothing is hidden.
+      expect(results[key].placeholderDocument).toEqual(overridesBuiltIns() ? true : null);
+    });
+  });
+
   it('hides overrides from own property list', async () => {
     const formProperties = await page.evaluate(() => {
       const cleanSlate = Reflect.ownKeys(document.createElement('form'));
@@ -296,7 +655,955 @@ describe('HTMLFormElement', () => {
     const badProperties = ['0', '1', '2', '3'];
 
     const cleanSlate = formProperties.clean;
-    expect(formProperties.unsafe).toEqual(cleanSlate.concat(badProperties));
+    expectUnsafe(formProperties.unsafe).toEqual(cleanSlate.concat(badProperties));
     expect(formProperties.safe).toEqual(cleanSlate);
   });
+
+  // linkedom does not implement HTMLFormElement.
+  itExceptIn(['linkedom'], 'submits, resets and validates forms whose methods are overridden', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="reset" value="default" />
+          <input name="checkValidity" required />
+          <button name="submit">Submit</button>
+          <button name="requestSubmit">Submit</button>
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const submitButton = form.elements.namedItem('submit');
+      const input = form.elements.namedItem('reset');
+
+      const submitters = [];
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        submitters.push(e.submitter === submitButton);
+      });
+
+      const validity = [unoverride.checkValidity(form)];
+      form.elements.namedItem('checkValidity').value = 'filled';
+      validity.push(unoverride.checkValidity(form));
+
+      unoverride.requestSubmit(form, submitButton);
+      unoverride.requestSubmit(form);
+
+      let detachedSubmitterError = null;
+      const detachedButton = document.createElement('button');
+      try {
+        unoverride.requestSubmit(form, detachedButton);
+      } catch (e) {
+        detachedSubmitterError = e.constructor.name;
+      }
+
+      input.value = 'changed';
+      unoverride.resetForm(form);
+
+      return {
+        validity,
+        submitters,
+        detachedSubmitterError,
+        resetValue: input.value,
+      };
+    });
+
+    expect(result.validity).toEqual([false, true]);
+    expect(result.submitters).toEqual([true, false]);
+    expect(result.detachedSubmitterError).toEqual('TypeError');
+    expect(result.resetValue).toEqual('default');
+  });
+
+  // jsdom and happy-dom only partially reflect the submission attributes, linkedom does not implement forms.
+  itExceptIn(['jsdom', 'happy-dom', 'linkedom'], 'resolves the submission attributes of a submitter', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://example.com/form" target="_blank">
+          <input name="action" />
+          <input name="target" />
+          <button name="method" formaction="http://example.com/button" formmethod="post">Submit</button>
+          <button name="enctype">Submit</button>
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      return {
+        overriddenSubmitter: unoverride.getSubmissionAttributes(form, form.elements.namedItem('method')),
+        defaultSubmitter: unoverride.getSubmissionAttributes(form, form.elements.namedItem('enctype')),
+      };
+    });
+
+    expect(result.overriddenSubmitter).toEqual({
+      action: 'http://example.com/button',
+      method: 'post',
+      enctype: 'application/x-www-form-urlencoded',
+      target: '_blank',
+    });
+    expect(result.defaultSubmitter).toEqual({
+      action: 'http://example.com/form',
+      method: 'get',
+      enctype: 'application/x-www-form-urlencoded',
+      target: '_blank',
+    });
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'reads and writes the value of fields', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="elements" value="e" />
+          <input name="length" value="l" />
+          <input name="namedItem" value="n" />
+          <input type="checkbox" name="newsletter" value="yes" />
+          <input type="checkbox" name="topics" value="dom" checked />
+          <input type="checkbox" name="topics" value="css" />
+          <input type="checkbox" name="topics" value="js" checked />
+          <input type="radio" name="color" value="red" />
+          <input type="radio" name="color" value="blue" checked />
+          <select name="languages" multiple>
+            <option value="en" selected>English</option>
+            <option value="fr">French</option>
+            <option value="nl" selected>Dutch</option>
+          </select>
+          <input type="file" name="avatar" />
+          <img name="picture" />
+          <fieldset name="group"></fieldset>
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const before = Object.assign({}, unoverride.getFieldValues(form));
+
+      unoverride.setFieldValue(form, 'elements', 'e2');
+      unoverride.setFieldValue(form, 'newsletter', 'yes');
+      unoverride.setFieldValue(form, 'topics', ['css']);
+      unoverride.setFieldValue(form, 'color', 'red');
+      unoverride.setFieldValue(form, 'languages', ['fr']);
+
+      let missingFieldError = null;
+      try {
+        unoverride.setFieldValue(form, 'picture', 'nope');
+      } catch (e) {
+        missingFieldError = e.constructor.name;
+      }
+
+      return {
+        before,
+        after: Object.assign({}, unoverride.getFieldValues(form)),
+        picture: unoverride.getFieldValue(form, 'picture'),
+        missingFieldError,
+      };
+    });
+
+    expect(result.before).toEqual({
+      elements: 'e',
+      length: 'l',
+      namedItem: 'n',
+      newsletter: null,
+      topics: ['dom', 'js'],
+      color: 'blue',
+      languages: ['en', 'nl'],
+      avatar: [],
+      group: null,
+    });
+
+    expect(result.after).toEqual({
+      elements: 'e2',
+      length: 'l',
+      namedItem: 'n',
+      newsletter: 'yes',
+      topics: ['css'],
+      color: 'red',
+      languages: ['fr'],
+      avatar: [],
+      group: null,
+    });
+
+    // images are not fields, even though they are exposed on the form.
+    expect(result.picture).toEqual(null);
+    expect(result.missingFieldError).toEqual('TypeError');
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'reads and writes fields with numeric names by name, not by index', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="first" value="a" />
+          <input name="0" value="zero" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const before = unoverride.getFieldValue(form, '0');
+      unoverride.setFieldValue(form, '0', 'one');
+
+      return {
+        before,
+        first: form.querySelector('[name="first"]').value,
+        values: Object.assign({}, unoverride.getFieldValues(form)),
+      };
+    });
+
+    expect(result.before).toEqual('zero');
+    expect(result.first).toEqual('a');
+    expect(result.values).toEqual({ 0: 'one', first: 'a' });
+  });
+
+  it('calls methods shadowed by form controls', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="querySelector" />
+          <input name="contains" />
+          <input name="addEventListener" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const input = document.querySelector('[name="contains"]');
+
+      let clicks = 0;
+      unoverride.callMethod(form, 'addEventListener', 'click', () => clicks++);
+      form.dispatchEvent(new Event('click'));
+
+      let missingMethodError = null;
+      try {
+        unoverride.callMethod(form, 'notAMethod');
+      } catch (e) {
+        missingMethodError = e.constructor.name;
+      }
+
+      return {
+        unsafe: typeof form.querySelector,
+        found: unoverride.callMethod(form, 'querySelector', '[name="contains"]') === input,
+        contains: unoverride.getMethod(form, 'contains')(input),
+        sameMethod: unoverride.getMethod(form, 'contains') === unoverride.getMethod(form, 'contains'),
+        clicks,
+        missingMethodError,
+      };
+    });
+
+    expectUnsafe(result.unsafe).toEqual('object');
+    expect(result.found).toEqual(true);
+    expect(result.contains).toEqual(true);
+    expect(result.sameMethod).toEqual(true);
+    expect(result.clicks).toEqual(1);
+    expect(result.missingMethodError).toEqual('TypeError');
+  });
+
+  // linkedom does not implement HTMLFormElement.
+  itExceptIn(['linkedom'], 'gets properties overridden by a renamed element (past names map)', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://google.com">
+          <input name="action" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const input = document.querySelector('input');
+
+      // the form remembers the element it returned for "action", and keeps returning it after it is renamed.
+      void form.action;
+      input.name = 'username';
+
+      const renamed = {
+        unsafe: window.stringify(form.action),
+        safe: unoverride.getProperty(form, 'action'),
+        rule: (unoverride.explainOverride(form, 'action') || { matches: [] }).matches.map(match => match.rule),
+      };
+
+      // removing the element from the form removes it from the past names map.
+      input.remove();
+
+      const removed = {
+        unsafe: window.stringify(form.action),
+        safe: unoverride.getProperty(form, 'action'),
+        override: unoverride.explainOverride(form, 'action'),
+      };
+
+      return { renamed, removed };
+    });
+
+    expectUnsafe(result.renamed.unsafe).toEqual('[object HTMLInputElement]');
+    expect(result.renamed.safe).toEqual('http://google.com/');
+    expect(result.renamed.rule).toEqual(overridesBuiltIns() ? ['form-past-name'] : []);
+
+    expect(result.removed.unsafe).toEqual('http://google.com/');
+    expect(result.removed.safe).toEqual('http://google.com/');
+    expect(result.removed.override).toEqual(null);
+  });
+
+  // linkedom does not implement HTMLFormElement.
+  itExceptIn(['linkedom'], 'finds overrides by past names and keeps them across swaps', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://google.com">
+          <input name="action" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const input = document.querySelector('input');
+
+      void form.action;
+      input.name = 'username';
+
+      const observer = new MutationObserver(() => {});
+      observer.observe(document.body, { subtree: true, childList: true, attributes: true });
+
+      const found = unoverride.findOverrides(form).map(override => override.key);
+      const scoped = unoverride.withSanitized(form, safeForm => safeForm.action);
+      const records = observer.takeRecords();
+      observer.disconnect();
+
+      return {
+        found,
+        scoped,
+        names: Array.from(unoverride.getNamedItems(form).keys()),
+        afterSwap: window.stringify(form.action),
+        inputName: input.name,
+        sanitizerMutations: records.every(unoverride.isSanitizerMutation),
+      };
+    });
+
+    expect(result.found).toEqual(overridesBuiltIns() ? ['action'] : []);
+    expect(result.scoped).toEqual('http://google.com/');
+    expect(result.names).toEqual(overridesBuiltIns() ? ['username', 'action'] : ['username']);
+
+    // the input was detached while sanitized, the form still remembers it under its past name.
+    expect(result.afterSwap).toEqual(overridesBuiltIns() ? '[object HTMLInputElement]' : 'http://google.com/');
+    expect(result.inputName).toEqual('username');
+    expect(result.sanitizerMutations).toEqual(true);
+  });
+
+  // linkedom does not implement HTMLFormElement.
+  itExceptIn(['linkedom'], 'recognises the renames restoring past names once delivered to observers', async () => {
+    const records = await page.evaluate(async () => {
+      document.body.innerHTML = `
+        <form action="http://google.com">
+          <input name="action" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const input = document.querySelector('input');
+
+      void form.action;
+      input.name = 'username';
+
+      // the swap itself is not observed: nothing else notifies the observer before the renames are delivered.
+      const received = [];
+      const observer = new MutationObserver(mutations => {
+        received.push(...mutations.map(record => [record.attributeName, unoverride.isSanitizerMutation(record)]));
+      });
+      observer.observe(input, { attributes: true });
+
+      unoverride.withSanitized(form, () => {});
+      await new Promise(resolve => setTimeout(resolve));
+      observer.disconnect();
+
+      return received;
+    });
+
+    // the input is renamed to its past name, then back.
+    expect(records).toEqual(overridesBuiltIns() ? [['name', true], ['name', true]] : []);
+  });
+
+  // linkedom does not implement HTMLFormElement.
+  itExceptIn(['linkedom'], 'gets properties overridden by elements owned from outside of the form', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form id="my-form" method="post"></form>
+        <input name="method" form="my-form" />
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const owned = {
+        unsafe: window.stringify(form.method),
+        safe: unoverride.getProperty(form, 'method'),
+        rule: (unoverride.explainOverride(form, 'method') || { matches: [] }).matches.map(match => match.rule),
+      };
+
+      // the input keeps its name but is no longer owned by the form.
+      document.querySelector('input').removeAttribute('form');
+
+      return {
+        owned,
+        disowned: {
+          unsafe: window.stringify(form.method),
+          override: unoverride.explainOverride(form, 'method'),
+        },
+      };
+    });
+
+    expectUnsafe(result.owned.unsafe).toEqual('[object HTMLInputElement]');
+    expect(result.owned.safe).toEqual('post');
+    expect(result.owned.rule).toEqual(overridesBuiltIns() ? ['form-control-name'] : []);
+
+    expect(result.disowned.unsafe).toEqual('post');
+    expect(result.disowned.override).toEqual(null);
+  });
+
+  // happy-dom does not implement ElementInternals, linkedom does not implement custom elements.
+  itExceptIn(['happy-dom', 'linkedom'], 'sanitizes forms without detaching form-associated custom elements', async () => {
+    const result = await page.evaluate(() => {
+      if (!customElements.get('x-text-field')) {
+        class TextField extends HTMLElement {
+          static get formAssociated() {
+            return true;
+          }
+
+          constructor() {
+            super();
+            this.internals = this.attachInternals();
+            this.callbacks = [];
+          }
+
+          connectedCallback() {
+            this.callbacks.push('connected');
+          }
+
+          disconnectedCallback() {
+            this.callbacks.push('disconnected');
+          }
+
+          formAssociatedCallback() {
+            this.callbacks.push('formAssociated');
+          }
+        }
+
+        customElements.define('x-text-field', TextField);
+      }
+
+      document.body.innerHTML = `
+        <form id="my-form" action="http://google.com">
+          <x-text-field name="action"></x-text-field>
+        </form>
+        <x-text-field name="method" form="my-form"></x-text-field>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const fields = Array.from(document.querySelectorAll('x-text-field'));
+      fields.forEach(field => {
+        field.callbacks = [];
+      });
+
+      const safe = {
+        action: unoverride.getProperty(form, 'action'),
+        method: unoverride.getProperty(form, 'method'),
+        first: unoverride.getProperty(form, '0'),
+        has: unoverride.hasProperty(form, 'action'),
+        descriptor: unoverride.getOwnPropertyDescriptor(form, 'action'),
+        scoped: unoverride.withSanitized(form, safeForm => [safeForm.action, safeForm.method]),
+      };
+
+      unoverride.setProperty(form, 'method', 'post');
+      unoverride.deleteProperty(form, 'action');
+
+      let defineError = null;
+      try {
+        unoverride.defineProperty(form, 'action', { value: 'nope', configurable: true });
+      } catch (e) {
+        defineError = e.constructor.name;
+      }
+
+      return {
+        unsafe: [window.stringify(form.action), window.stringify(form.method)],
+        safe,
+        methodAttribute: form.getAttribute('method'),
+        rules: unoverride.findOverrides(form).map(override => override.matches.map(match => match.rule)),
+        defineError,
+        callbacks: fields.map(field => field.callbacks),
+      };
+    });
+
+    // jsdom does not implement form-associated custom elements: they are plain custom elements there.
+    expectUnsafe(result.unsafe).toEqual(['[object HTMLElement]', '[object HTMLElement]']);
+    expect(result.rules).toEqual(overridesBuiltIns() ? [['form-control-name'], ['form-control-name']] : []);
+    expect(result.defineError).toEqual(overridesBuiltIns() ? 'TypeError' : null);
+
+    expect(result.safe).toEqual({
+      action: 'http://google.com/',
+      method: 'get',
+      first: void 0,
+      has: true,
+      descriptor: void 0,
+      scoped: ['http://google.com/', 'get'],
+    });
+    expect(result.methodAttribute).toEqual('post');
+    expect(result.callbacks).toEqual([[], []]);
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'gets named items, including those shadowed by expandos', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="item" />
+          <input name="action" />
+          <input name="choice" />
+          <input name="choice" />
+          <input name="1" />
+          <img name="logo" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      // the expando exists before the input: it shadows the named property.
+      form.shadowed = 'expando';
+      const shadowing = document.createElement('input');
+      shadowing.name = 'shadowed';
+      form.appendChild(shadowing);
+
+      // several elements are returned as an array, rather than the live RadioNodeList of form.choice.
+      const choices = unoverride.getNamedItem(form, 'choice');
+
+      return {
+        item: window.stringify(unoverride.getNamedItem(form, 'item')),
+        elementsItem: typeof form.elements.item,
+        action: window.stringify(unoverride.getNamedItem(form, 'action')),
+        choices: Array.isArray(choices) && choices.map(window.stringify),
+        // the named getter, not the indexed one (form[1] is the input named "action").
+        index: unoverride.getNamedItem(form, '1') === form.querySelector('[name="1"]'),
+        logo: window.stringify(unoverride.getNamedItem(form, 'logo')),
+        shadowed: unoverride.getNamedItem(form, 'shadowed') === shadowing,
+        missing: unoverride.getNamedItem(form, 'missing'),
+        names: Array.from(unoverride.getNamedItems(form).keys()),
+      };
+    });
+
+    expect(result).toEqual({
+      item: '[object HTMLInputElement]',
+      elementsItem: 'function',
+      action: '[object HTMLInputElement]',
+      choices: ['[object HTMLInputElement]', '[object HTMLInputElement]'],
+      index: true,
+      logo: '[object HTMLImageElement]',
+      shadowed: true,
+      missing: null,
+      names: ['item', 'action', 'choice', '1', 'shadowed', 'logo'],
+    });
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'reports the strategy and cost of the operations when instrumented', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="action" />
+          <input name="method" />
+          <input name="method" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const operations = [];
+      const swaps = [];
+      unoverride.setInstrumentation({
+        onSanitize(report) {
+          operations.push([report.operation, report.key, report.strategy, report.elements, typeof report.duration]);
+        },
+        onSwap(report) {
+          swaps.push([report.strategy, report.elements.length, typeof report.duration]);
+        },
+      });
+
+      unoverride.getProperty(form, 'action');
+      unoverride.getProperty(form, 'title');
+      unoverride.defineProperty(form, 'action', { value: 'defined', configurable: true });
+      unoverride.defineProperty(form, 'method', { value: 'defined', configurable: true });
+      unoverride.withSanitized(form, () => {});
+
+      unoverride.setInstrumentation(null);
+      unoverride.getProperty(form, 'action');
+
+      return { operations, swaps };
+    });
+
+    expect(result.operations).toEqual(overridesBuiltIns() ? [
+      ['getProperty', 'action', 'inherited', 0, 'number'],
+      ['getProperty', 'title', 'passthrough', 0, 'number'],
+      ['defineProperty', 'action', 'single', 1, 'number'],
+      ['defineProperty', 'method', 'collection', 2, 'number'],
+    ] : [
+      ['getProperty', 'action', 'passthrough', 0, 'number'],
+      ['getProperty', 'title', 'passthrough', 0, 'number'],
+      ['defineProperty', 'action', 'passthrough', 0, 'number'],
+      ['defineProperty', 'method', 'passthrough', 0, 'number'],
+    ]);
+    expect(result.swaps).toEqual(overridesBuiltIns() ? [
+      ['single', 1, 'number'],
+      ['collection', 2, 'number'],
+      ['scoped', 3, 'number'],
+    ] : []);
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'restores the overriding elements when an operation throws', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="action" />
+          <input name="method" />
+          <input name="method" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const html = form.innerHTML;
+
+      Object.defineProperty(form, 'throwing', {
+        get() {
+          throw new Error('getter');
+        },
+      });
+
+      // accessor descriptors cannot have a value.
+      const invalidDescriptor = { get() {}, value: 'nope' };
+      const operations = {
+        single: () => unoverride.defineProperty(form, 'action', invalidDescriptor),
+        collection: () => unoverride.defineProperty(form, 'method', invalidDescriptor),
+        indices: () => unoverride.defineProperty(form, '1', invalidDescriptor),
+        getter: () => unoverride.withSanitized(form, safeForm => safeForm.throwing),
+      };
+
+      return Object.keys(operations).map(name => {
+        let error = null;
+        try {
+          operations[name]();
+        } catch (e) {
+          error = e.constructor.name;
+        }
+
+        return [name, error, form.innerHTML === html];
+      });
+    });
+
+    expect(result).toEqual([
+      ['single', 'TypeError', true],
+      ['collection', 'TypeError', true],
+      ['indices', 'TypeError', true],
+      ['getter', 'Error', true],
+    ]);
+  });
+
+  it('restores the overriding elements when a swap hook throws, and nests swaps', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="action" />
+          <input name="target" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+      const html = form.innerHTML;
+
+      function getNames(elements) {
+        return elements.map(element => element.getAttribute('name')).join();
+      }
+
+      const swaps = [];
+      let offSwap = unoverride.onSanitizerSwap({
+        before(elements) {
+          swaps.push(`before ${getNames(elements)}`);
+
+          // called back while the outer swap is about to happen.
+          if (getNames(elements) === 'action') {
+            unoverride.defineProperty(form, 'target', { value: 'defined', configurable: true });
+          }
+        },
+        after(elements) {
+          swaps.push(`after ${getNames(elements)}`);
+        },
+      });
+
+      unoverride.defineProperty(form, 'action', { value: 'defined', configurable: true });
+      offSwap();
+
+      offSwap = unoverride.onSanitizerSwap({
+        after() {
+          throw new Error('hook');
+        },
+      });
+
+      let error = null;
+      try {
+        unoverride.defineProperty(form, 'action', { value: 'redefined', configurable: true });
+      } catch (e) {
+        error = e.message;
+      }
+
+      offSwap();
+
+      return {
+        swaps,
+        error,
+        restored: form.innerHTML === html,
+      };
+    });
+
+    expect(result.swaps).toEqual(overridesBuiltIns()
+      ? ['before action', 'before target', 'after target', 'after action']
+      : []);
+    expect(result.error).toEqual(overridesBuiltIns() ? 'hook' : null);
+    expect(result.restored).toEqual(true);
+  });
+
+  // happy-dom does not implement customized built-in elements, linkedom does not implement form.elements.
+  itExceptIn(['happy-dom', 'linkedom'], 'never detaches custom elements', async () => {
+    const result = await page.evaluate(() => {
+      // the lifecycle callbacks throw while the sanitizers run, they must not be called at all.
+      function callback(name) {
+        window.fragileCallbacks.push(name);
+        if (window.fragileArmed) {
+          throw new Error(name);
+        }
+      }
+
+      if (!customElements.get('x-fragile')) {
+        customElements.define('x-fragile', class extends HTMLElement {
+          connectedCallback() {
+            callback('connected');
+          }
+
+          disconnectedCallback() {
+            callback('disconnected');
+          }
+        });
+
+        customElements.define('x-fragile-input', class extends HTMLInputElement {
+          connectedCallback() {
+            callback('connected');
+          }
+
+          disconnectedCallback() {
+            callback('disconnected');
+          }
+        }, { extends: 'input' });
+      }
+
+      // inserting the markup calls connectedCallback.
+      window.fragileCallbacks = [];
+      window.fragileArmed = false;
+
+      document.body.innerHTML = `
+        <form action="http://google.com" target="_self">
+          <input is="x-fragile-input" name="action" />
+          <fieldset name="target"><x-fragile></x-fragile></fieldset>
+          <input name="method" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      window.fragileCallbacks = [];
+      window.fragileArmed = true;
+
+      const scoped = unoverride.withSanitized(form, safeForm => [
+        safeForm.action,
+        safeForm.target,
+        window.stringify(form.method),
+      ]);
+
+      const defineErrors = ['action', 'target'].map(property => {
+        try {
+          unoverride.defineProperty(form, property, { value: 'nope', configurable: true });
+        } catch (e) {
+          return e.message;
+        }
+
+        return null;
+      });
+
+      window.fragileArmed = false;
+
+      return {
+        defineErrors,
+        scoped,
+        callbacks: window.fragileCallbacks,
+      };
+    });
+
+    expect(result.defineErrors).toEqual(overridesBuiltIns() ? [
+      '[dom-unoverride] action cannot be resolved without detaching a custom element.',
+      '[dom-unoverride] target cannot be resolved without detaching a custom element.',
+    ] : [null, null]);
+
+    // the custom elements stay in place, the input is hidden.
+    expect(result.scoped).toEqual(['http://google.com/', '_self', 'get']);
+    expect(result.callbacks).toEqual([]);
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'caches overrides until the named elements change', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form action="http://google.com">
+          <input name="action" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const elementsPrototype = Object.getPrototypeOf(form.elements);
+      const namedItem = elementsPrototype.namedItem;
+      let lookups = 0;
+      elementsPrototype.namedItem = function countedNamedItem(...args) {
+        lookups++;
+
+        return namedItem.apply(this, args);
+      };
+
+      function countLookups(callback) {
+        const before = lookups;
+        callback();
+
+        return lookups - before;
+      }
+
+      function getRules(key) {
+        return (unoverride.explainOverride(form, key) || { matches: [] }).matches.map(match => match.rule);
+      }
+
+      try {
+        form.myCustomProp = 'hello';
+        const fastPath = countLookups(() => {
+          unoverride.getProperty(form, 'myCustomProp');
+          unoverride.hasProperty(form, 'somethingElse');
+        });
+
+        const uncache = unoverride.cacheOverrides(form);
+        unoverride.getProperty(form, 'action');
+        const cached = countLookups(() => {
+          unoverride.getProperty(form, 'action');
+          unoverride.hasProperty(form, 'action');
+        });
+
+        // changes are taken into account right away, before the MutationObserver is notified.
+        const method = document.createElement('input');
+        method.name = 'method';
+        form.appendChild(method);
+        const added = getRules('method');
+
+        // renaming it would keep it in the past names map of the form.
+        method.remove();
+        const removed = getRules('method');
+
+        uncache();
+        const uncached = countLookups(() => {
+          unoverride.getProperty(form, 'action');
+        });
+
+        return {
+          fastPath,
+          cached,
+          added,
+          removed,
+          uncached,
+          action: unoverride.getProperty(form, 'action'),
+          formControls: unoverride.detectCapabilities(form).formControls,
+        };
+      } finally {
+        elementsPrototype.namedItem = namedItem;
+      }
+    });
+
+    expect(result.fastPath).toEqual(0);
+    expect(result.cached).toEqual(0);
+    expect(result.added).toEqual(overridesBuiltIns() ? ['form-control-name'] : []);
+    expect(result.removed).toEqual([]);
+
+    // the named items are only looked up where forms have some.
+    expect(result.uncached > 0).toEqual(result.formControls);
+    expect(result.action).toEqual('http://google.com/');
+  });
+
+  // linkedom does not implement form.elements.
+  itExceptIn(['linkedom'], 'lets observers recognise the swaps done by the sanitizers', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="className" />
+          <input name="title" />
+          <input name="title" />
+        </form>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const form = document.querySelector('form');
+
+      const swaps = [];
+      const placeholders = [];
+      const offSwap = unoverride.onSanitizerSwap({
+        before(elements) {
+          swaps.push(['before', elements.length]);
+        },
+        after(elements) {
+          swaps.push(['after', elements.length]);
+          placeholders.push(document.querySelectorAll('[data-dom-unoverride-placeholder]').length);
+        },
+      });
+
+      const observer = new MutationObserver(() => {});
+      observer.observe(form, { childList: true, subtree: true });
+
+      // single element, collection, and whole scope.
+      unoverride.defineProperty(form, 'className', { value: 'hello', configurable: true, writable: true });
+      unoverride.defineProperty(form, 'title', { value: 'hello', configurable: true, writable: true });
+      unoverride.withSanitized(form, () => {});
+
+      // a user edit.
+      form.appendChild(document.createElement('input'));
+
+      const records = observer.takeRecords();
+      observer.disconnect();
+      offSwap();
+
+      unoverride.withSanitized(form, () => {});
+
+      return {
+        swaps,
+        placeholders,
+        records: records.length,
+        userRecords: records.filter(record => !unoverride.isSanitizerMutation(record)).length,
+      };
+    });
+
+    expect(result.swaps).toEqual(overridesBuiltIns() ? [
+      ['before', 1], ['after', 1],
+      ['before', 2], ['after', 2],
+      ['before', 3], ['after', 3],
+    ] : []);
+    // placeholders are detached once the elements are back in place.
+    expect(result.placeholders).toEqual(overridesBuiltIns() ? [0, 0, 0] : []);
+
+    // the swaps are recorded along with the user edit.
+    expect(result.records > 1).toEqual(overridesBuiltIns());
+    expect(result.userRecords).toEqual(1);
+  });
 });
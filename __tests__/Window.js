@@ -0,0 +1,229 @@
+/**
+ * Window object (https://html.spec.whatwg.org/multipage/window-object.html#named-access-on-the-window-object)
+ */
+
+describe('Window', () => {
+  let page;
+  beforeAll(async () => {
+    page = await global.__BROWSER__.newPage();
+    await page.goto('about:blank');
+    await page.addScriptTag({ path: './dist/bundle.js' });
+  });
+
+  function getWindowProperty(arg) {
+    return page.evaluate(({ html, key }) => {
+      document.body.innerHTML = html;
+
+      const unoverride = window['x-unoverride'];
+
+      function describe(val) {
+        if (typeof val !== 'object' || val === null) {
+          return typeof val;
+        }
+
+        return Object.prototype.toString.call(val);
+      }
+
+      return {
+        unsafe: describe(window[key]),
+        safe: describe(unoverride.getProperty(window, key)),
+        has: unoverride.hasProperty(window, key),
+      };
+    }, arg);
+  }
+
+  it('gets properties that would otherwise be overridden by an element with ID', async () => {
+    const addEventListener = await getWindowProperty({
+      html: `
+        <div id="addEventListener"></div>
+      `,
+      key: 'addEventListener',
+    });
+
+    expectUnsafe(addEventListener.unsafe).toEqual('[object HTMLDivElement]');
+    expect(addEventListener.safe).toEqual('function');
+  });
+
+  it('gets properties that would otherwise be overridden by a named form', async () => {
+    const dispatchEvent = await getWindowProperty({
+      html: `
+        <form name="dispatchEvent"></form>
+      `,
+      key: 'dispatchEvent',
+    });
+
+    expectUnsafe(dispatchEvent.unsafe).toEqual('[object HTMLFormElement]');
+    expect(dispatchEvent.safe).toEqual('function');
+  });
+
+  it('gets properties that would otherwise be overridden by a named image', async () => {
+    const hasOwnProperty = await getWindowProperty({
+      html: `
+        <img name="hasOwnProperty" />
+      `,
+      key: 'hasOwnProperty',
+    });
+
+    expectUnsafe(hasOwnProperty.unsafe).toEqual('[object HTMLImageElement]');
+    expect(hasOwnProperty.safe).toEqual('function');
+  });
+
+  it('gets properties that would otherwise be overridden by a named iframe', async () => {
+    const dispatchEvent = await getWindowProperty({
+      html: `
+        <iframe name="dispatchEvent"></iframe>
+      `,
+      key: 'dispatchEvent',
+    });
+
+    expectUnsafe(dispatchEvent.unsafe).toEqual('[object Window]'); // iframes give their content window.
+    expect(dispatchEvent.safe).toEqual('function');
+  });
+
+  it('gets properties that would otherwise be overridden by multiple elements', async () => {
+    const removeEventListener = await getWindowProperty({
+      html: `
+        <div id="removeEventListener"></div>
+        <embed name="removeEventListener" />
+        <object name="removeEventListener"></object>
+      `,
+      key: 'removeEventListener',
+    });
+
+    expectUnsafe(removeEventListener.unsafe).toEqual('[object HTMLCollection]');
+    expect(removeEventListener.safe).toEqual('function');
+  });
+
+  it('does not consider named elements that cannot be accessed by name', async () => {
+    const addEventListener = await getWindowProperty({
+      html: `
+        <div name="addEventListener"></div>
+      `,
+      key: 'addEventListener',
+    });
+
+    expectUnsafe(addEventListener.unsafe).toEqual('function');
+    expect(addEventListener.safe).toEqual('function');
+  });
+
+  // happy-dom defines named elements as own properties of the window, they cannot be told apart from globals.
+  // linkedom windows are run as the global object of a vm context, which reports any property as present.
+  itExceptIn(['happy-dom', 'linkedom'], 'hides named elements that do not override anything', async () => {
+    const myElement = await getWindowProperty({
+      html: `
+        <div id="myElement"></div>
+      `,
+      key: 'myElement',
+    });
+
+    expectUnsafe(myElement.unsafe).toEqual('[object HTMLDivElement]');
+    expect(myElement.safe).toEqual('undefined');
+    expect(myElement.has).toEqual(false);
+  });
+
+  it('is used by sanitizeNode', async () => {
+    const type = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <div id="addEventListener"></div>
+      `;
+
+      const safeWindow = window['x-unoverride'].sanitizeNode(window);
+
+      return typeof safeWindow.addEventListener;
+    });
+
+    expect(type).toEqual('function');
+  });
+
+  // the window of linkedom has no getComputedStyle.
+  itExceptIn(['linkedom'], 'calls the methods of the window, including its own ones', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <div id="getComputedStyle"></div>
+        <div id="setTimeout"></div>
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const style = unoverride.callMethod(window, 'getComputedStyle', document.body);
+      const setTimeout = unoverride.getMethod(window, 'setTimeout');
+
+      return new Promise(resolve => setTimeout(() => resolve({
+        style: typeof style.getPropertyValue,
+        sameMethod: unoverride.getMethod(window, 'setTimeout') === setTimeout,
+      })));
+    });
+
+    expect(result).toEqual({ style: 'function', sameMethod: true });
+  });
+
+  // happy-dom and linkedom do not expose elements by id on the window.
+  itExceptIn(['happy-dom', 'linkedom'], 'reports the swaps when instrumented', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <div id="plugin"></div>
+      `;
+
+      const unoverride = window['x-unoverride'];
+
+      const operations = [];
+      const swaps = [];
+      unoverride.setInstrumentation({
+        onSanitize(report) {
+          operations.push([report.operation, report.key, report.strategy, report.elements]);
+        },
+        onSwap(report) {
+          swaps.push([report.strategy, report.elements.map(element => element.id), report.duration >= 0]);
+        },
+      });
+
+      // no built-in is named plugin: the element is detached to define the property.
+      unoverride.defineProperty(window, 'plugin', { value: 'defined', configurable: true });
+      unoverride.setInstrumentation(null);
+
+      const defined = window.plugin;
+      delete window.plugin;
+
+      return { operations, swaps, defined };
+    });
+
+    expect(result.defined).toEqual('defined');
+    expect(result.operations).toEqual([['defineProperty', 'plugin', 'single', 1]]);
+    expect(result.swaps).toEqual([['single', ['plugin'], true]]);
+  });
+
+  // linkedom does not implement forms and iframes.
+  itExceptIn(['linkedom'], 'gets named items, including those shadowed by globals', async () => {
+    const result = await page.evaluate(() => {
+      document.body.innerHTML = `
+        <iframe name="location"></iframe>
+        <div id="plain"></div>
+        <form name="login"></form>
+        <div name="notExposed"></div>
+        <img name="logo" />
+        <img name="logo" />
+      `;
+
+      const unoverride = window['x-unoverride'];
+      const iframe = document.querySelector('iframe');
+
+      // several elements are returned as an array, rather than the live collection of window.logo.
+      const logos = unoverride.getNamedItem(window, 'logo');
+
+      return {
+        location: unoverride.getNamedItem(window, 'location') === (iframe.contentWindow || iframe),
+        plain: Object.prototype.toString.call(unoverride.getNamedItem(window, 'plain')),
+        login: Object.prototype.toString.call(unoverride.getNamedItem(window, 'login')),
+        notExposed: unoverride.getNamedItem(window, 'notExposed'),
+        logos: Array.isArray(logos) && logos.map(logo => Object.prototype.toString.call(logo)),
+        names: Array.from(unoverride.getNamedItems(window).keys()),
+      };
+    });
+
+    expect(result.location).toEqual(true);
+    expect(result.plain).toEqual('[object HTMLDivElement]');
+    expect(result.login).toEqual('[object HTMLFormElement]');
+    expect(result.notExposed).toEqual(null);
+    expect(result.logos).toEqual(['[object HTMLImageElement]', '[object HTMLImageElement]']);
+    expect(result.names).toEqual(['location', 'plain', 'login', 'logo']);
+  });
+});
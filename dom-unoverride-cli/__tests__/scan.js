@@ -0,0 +1,62 @@
+'use strict';
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '../bin/dom-unoverride.mjs');
+
+function fixture(name) {
+  return path.join(__dirname, 'fixtures', name);
+}
+
+function runCli(...args) {
+  const result = spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8', timeout: 30000 });
+
+  return { exitCode: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('dom-unoverride scan', () => {
+  it('reports the elements overriding built-ins of their form or of the document', () => {
+    const { exitCode, stdout } = runCli('scan', '--format', 'json', fixture('overrides.html'));
+
+    expect(exitCode).toEqual(1);
+    expect(JSON.parse(stdout).map(override => [override.line, override.element, override.target, override.key, override.rule]))
+      .toEqual([
+        [9, '<input name="action" type="hidden">', '<form id="login">', 'action', 'form-control-name'],
+        [11, '<img id="reset">', '<form id="login">', 'reset', 'form-image-id'],
+
+        // owned using its form attribute.
+        [14, '<button name="method" form="login">', '<form id="login">', 'method', 'form-control-name'],
+        [16, '<img name="cookie">', 'document', 'cookie', 'document-exposed-name'],
+        [17, '<img name="logo" id="title">', 'document', 'title', 'document-named-image-id'],
+
+        // the object has an embed descendant: only the embed is exposed.
+        [21, '<embed name="images">', 'document', 'images', 'document-exposed-name'],
+        [23, '<object id="links">', 'document', 'links', 'document-object-id'],
+      ]);
+  });
+
+  it('reports the overrides in a human-readable format', () => {
+    const { exitCode, stdout } = runCli('scan', fixture('overrides.html'), fixture('clean.html'));
+
+    expect(exitCode).toEqual(1);
+    expect(stdout).toContain(
+      'overrides.html:9:5: <input name="action" type="hidden"> overrides the action property of <form id="login"> (form-control-name)',
+    );
+    expect(stdout).toContain('7 override(s) found in 2 file(s).');
+  });
+
+  it('exits with 0 when nothing is overridden', () => {
+    const { exitCode, stdout } = runCli('scan', fixture('clean.html'));
+
+    expect(exitCode).toEqual(0);
+    expect(stdout).toEqual('No overrides found in 1 file(s).\n');
+  });
+
+  it('exits with 2 when the files cannot be scanned', () => {
+    expect(runCli('scan', fixture('missing.html')).exitCode).toEqual(2);
+    expect(runCli('scan').exitCode).toEqual(2);
+    expect(runCli('scan', '--format', 'xml', fixture('clean.html')).exitCode).toEqual(2);
+    expect(runCli('lint', fixture('clean.html')).exitCode).toEqual(2);
+  });
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { run } from '../lib/index.mjs';
+
+// exit code 2, like the other failures to scan the files.
+run(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    process.stderr.write(`${error.stack || error}\n`);
+    process.exitCode = 2;
+  });
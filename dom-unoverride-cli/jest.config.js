@@ -0,0 +1,8 @@
+'use strict';
+
+// the command line interface runs in Node.js, its tests run it in a child process.
+module.exports = {
+  "rootDir": __dirname,
+  "testEnvironment": "node",
+  "testPathIgnorePatterns": ["/node_modules/", "/fixtures/"],
+};
@@ -0,0 +1,130 @@
+import { readFile } from 'fs/promises';
+import { scanHtml } from './scan.mjs';
+
+// exit codes: CI fails on anything but 0.
+const OK = 0;
+const OVERRIDES_FOUND = 1;
+const USAGE_ERROR = 2;
+
+const USAGE = `Usage: dom-unoverride scan [--format text|json] <files...>
+
+Reports the elements of HTML files that override a built-in of their form or of the document.
+
+Options:
+  --format <format>  text (default) or json.
+  --help             Shows this message.
+
+Exit codes: 0 if nothing overrides a built-in, 1 if something does, 2 if the files could not be scanned.`;
+
+function parseArgs(args) {
+  const options = { command: null, format: 'text', files: [], help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (options.command === null) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.help) {
+    return options;
+  }
+
+  if (options.command !== 'scan') {
+    throw new Error(options.command === null ? 'Missing command' : `Unknown command ${options.command}`);
+  }
+
+  if (options.format !== 'text' && options.format !== 'json') {
+    throw new Error(`Unknown format ${options.format}`);
+  }
+
+  if (options.files.length === 0) {
+    throw new Error('Missing files to scan');
+  }
+
+  return options;
+}
+
+function formatText(results) {
+  const lines = [];
+
+  results.forEach(({ file, overrides }) => {
+    overrides.forEach(override => {
+      const target = override.target === 'document' ? 'the document' : override.target;
+
+      lines.push(
+        `${file}:${override.line}:${override.column}: ${override.element} overrides the ${override.key} property`
+        + ` of ${target} (${override.rule})`,
+      );
+    });
+  });
+
+  const count = results.reduce((total, result) => total + result.overrides.length, 0);
+  lines.push(count === 0
+    ? `No overrides found in ${results.length} file(s).`
+    : `${count} override(s) found in ${results.length} file(s).`);
+
+  return lines.join('\n');
+}
+
+function formatJson(results) {
+  const overrides = [];
+  results.forEach(({ file, overrides: fileOverrides }) => {
+    fileOverrides.forEach(override => overrides.push(Object.assign({ file }, override)));
+  });
+
+  return JSON.stringify(overrides, null, 2);
+}
+
+/**
+ * Runs the command line interface.
+ *
+ * @param {!Array<string>} args The arguments (process.argv without node and the script).
+ * @param {{ stdout: { write: function(string) }, stderr: { write: function(string) } }} io Where to write the output.
+ * @returns {!Promise<number>} The exit code.
+ */
+export async function run(args, io = process) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    io.stderr.write(`${e.message}\n\n${USAGE}\n`);
+
+    return USAGE_ERROR;
+  }
+
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+
+    return OK;
+  }
+
+  const results = [];
+  for (const file of options.files) {
+    let html;
+    try {
+      html = await readFile(file, 'utf8');
+    } catch (e) {
+      io.stderr.write(`Cannot read ${file}: ${e.message}\n`);
+
+      return USAGE_ERROR;
+    }
+
+    results.push({ file, overrides: scanHtml(html) });
+  }
+
+  io.stdout.write(`${options.format === 'json' ? formatJson(results) : formatText(results)}\n`);
+
+  return results.some(result => result.overrides.length > 0) ? OVERRIDES_FOUND : OK;
+}
@@ -0,0 +1,201 @@
+import { parse } from 'parse5';
+import { DOCUMENT_BUILT_INS, FORM_BUILT_INS } from './built-ins.mjs';
+
+/*
+ * Applies the rules of src/HTMLFormElement.js and src/Document.js to parsed HTML instead of a live DOM:
+ *
+ * - the listed elements owned by a form (except image buttons), and the images inside of it,
+ *   override the built-ins of the form matching their name or id.
+ * - exposed embeds, forms, iframes, images and exposed objects override the built-ins of the document matching
+ *   their name, exposed objects those matching their id, and images with a name those matching their id.
+ *
+ * Template contents and the content of iframes are separate documents, they are not part of the scanned tree.
+ */
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const LISTED_ELEMENTS = ['button', 'fieldset', 'input', 'object', 'output', 'select', 'textarea'];
+const NAMED_BY_NAME = ['embed', 'form', 'iframe', 'img'];
+
+function isElement(node) {
+  return typeof node.tagName === 'string';
+}
+
+function getAttribute(element, name) {
+  const attribute = element.attrs.find(attr => attr.name === name);
+
+  return attribute ? attribute.value : null;
+}
+
+function getElements(root) {
+  const elements = [];
+
+  function visit(node) {
+    if (isElement(node)) {
+      elements.push(node);
+    }
+
+    (node.childNodes || []).forEach(visit);
+  }
+
+  visit(root);
+
+  return elements;
+}
+
+function getAncestors(element) {
+  const ancestors = [];
+
+  for (let node = element.parentNode; node && isElement(node); node = node.parentNode) {
+    ancestors.push(node);
+  }
+
+  return ancestors;
+}
+
+// =========
+
+function getFormOwner(element, elementsById) {
+  // the form attribute takes precedence over the ancestors, even if it matches no form.
+  const formId = getAttribute(element, 'form');
+  if (formId !== null) {
+    const owner = elementsById.get(formId);
+
+    return owner && owner.tagName === 'form' ? owner : null;
+  }
+
+  return getAncestors(element).find(ancestor => ancestor.tagName === 'form') || null;
+}
+
+function isFormNamedElement(element, form, elementsById) {
+  if (element.tagName === 'img') {
+    return getAncestors(element).includes(form);
+  }
+
+  if (!LISTED_ELEMENTS.includes(element.tagName)) {
+    return false;
+  }
+
+  if (element.tagName === 'input' && (getAttribute(element, 'type') || '').toLowerCase() === 'image') {
+    return false;
+  }
+
+  return getFormOwner(element, elementsById) === form;
+}
+
+function isExposedObject(object) {
+  const hasPlugins = getElements(object)
+    .some(element => element !== object && (element.tagName === 'object' || element.tagName === 'embed'));
+  if (hasPlugins) {
+    return false;
+  }
+
+  return !hasExposedObjectAncestor(object);
+}
+
+function hasExposedObjectAncestor(element) {
+  return getAncestors(element).some(ancestor => ancestor.tagName === 'object' && isExposedObject(ancestor));
+}
+
+function getDocumentRule(element, attribute) {
+  const name = getAttribute(element, 'name');
+
+  if (attribute === 'name') {
+    if (element.tagName === 'object') {
+      return isExposedObject(element) ? 'document-exposed-name' : null;
+    }
+
+    if (element.tagName === 'embed') {
+      return hasExposedObjectAncestor(element) ? null : 'document-exposed-name';
+    }
+
+    return NAMED_BY_NAME.includes(element.tagName) ? 'document-exposed-name' : null;
+  }
+
+  if (element.tagName === 'object') {
+    return isExposedObject(element) ? 'document-object-id' : null;
+  }
+
+  if (element.tagName === 'img' && name) {
+    return 'document-named-image-id';
+  }
+
+  return null;
+}
+
+function getFormRule(element, attribute) {
+  return `form-${element.tagName === 'img' ? 'image' : 'control'}-${attribute}`;
+}
+
+// =========
+
+function describeElement(element) {
+  const attributes = ['name', 'id', 'type', 'form']
+    .filter(name => getAttribute(element, name) !== null)
+    .map(name => ` ${name}="${getAttribute(element, name)}"`);
+
+  return `<${element.tagName}${attributes.join('')}>`;
+}
+
+function makeOverride(element, target, key, rule) {
+  const location = element.sourceCodeLocation;
+
+  return {
+    line: location ? location.startLine : null,
+    column: location ? location.startCol : null,
+    element: describeElement(element),
+    target,
+    key,
+    rule,
+  };
+}
+
+/**
+ * Finds the elements of an HTML document that override a built-in of their form, or of the document.
+ *
+ * @param {!string} html The HTML document.
+ * @returns {!Array<{ line: number, column: number, element: string, target: string, key: string, rule: string }>}
+ *  The overrides, in tree order. target is the overridden node: 'document', or a description of the form.
+ */
+export function scanHtml(html) {
+  const document = parse(html, { sourceCodeLocationInfo: true });
+  const elements = getElements(document);
+
+  const elementsById = new Map();
+  elements.forEach(element => {
+    const id = getAttribute(element, 'id');
+    if (id && !elementsById.has(id)) {
+      elementsById.set(id, element);
+    }
+  });
+
+  const forms = elements.filter(element => element.tagName === 'form');
+  const overrides = [];
+
+  // <svg><a name="..."> or <math> elements are never named properties.
+  elements.filter(element => element.namespaceURI === HTML_NAMESPACE).forEach(element => {
+    ['name', 'id'].forEach(attribute => {
+      const key = getAttribute(element, attribute);
+      if (!key) {
+        return;
+      }
+
+      if (FORM_BUILT_INS.has(key)) {
+        const rule = getFormRule(element, attribute);
+
+        forms
+          .filter(form => isFormNamedElement(element, form, elementsById))
+          .forEach(form => overrides.push(makeOverride(element, describeElement(form), key, rule)));
+      }
+
+      if (DOCUMENT_BUILT_INS.has(key)) {
+        const rule = getDocumentRule(element, attribute);
+        if (rule !== null) {
+          overrides.push(makeOverride(element, 'document', key, rule));
+        }
+      }
+    });
+  });
+
+  return overrides;
+}
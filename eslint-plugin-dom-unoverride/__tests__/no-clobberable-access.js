@@ -0,0 +1,111 @@
+'use strict';
+
+const { RuleTester } = require('eslint');
+const rule = require('../lib/rules/no-clobberable-access');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018, sourceType: 'module' },
+  env: { browser: true },
+});
+
+const IMPORT = "import { callMethod, deleteProperty, getProperty, hasProperty, setProperty } from '@madkings/dom-unoverride';\n";
+
+ruleTester.run('no-clobberable-access', rule, {
+  valid: [
+    // not known to be forms or documents.
+    'input.value = "hello";',
+    'function submit(form) { return form.action; }',
+    'const document = getDocument(); document.title;',
+    `${IMPORT}let form = callMethod(document, 'querySelector', 'form'); form = null; form.action;`,
+    `${IMPORT}getProperty(document, 'forms').length;`,
+
+    // already sanitized.
+    `${IMPORT}getProperty(document, 'title');`,
+    `${IMPORT}callMethod(document, 'querySelector', 'form');`,
+
+    {
+      code: 'document.body;',
+      options: [{ allow: ['body'] }],
+    },
+  ],
+
+  invalid: [
+    {
+      code: `${IMPORT}const title = document.title;`,
+      output: `${IMPORT}const title = getProperty(document, 'title');`,
+      errors: [{ messageId: 'read', data: { kind: 'document', property: '.title' } }],
+    },
+    {
+      code: `${IMPORT}const form = document.querySelector('form.login');\nform.action = '/login';`,
+      output: `${IMPORT}const form = callMethod(document, 'querySelector', 'form.login');\nsetProperty(form, 'action', '/login');`,
+      errors: [
+        { messageId: 'call', data: { kind: 'document', property: '.querySelector' } },
+        { messageId: 'write', data: { kind: 'form', property: '.action' } },
+      ],
+    },
+    {
+      // the form is still known once its lookup is sanitized.
+      code: `${IMPORT}const form = callMethod(document, 'querySelector', 'form');\nform.action = '/login';`,
+      output: `${IMPORT}const form = callMethod(document, 'querySelector', 'form');\nsetProperty(form, 'action', '/login');`,
+      errors: [{ messageId: 'write', data: { kind: 'form', property: '.action' } }],
+    },
+    {
+      code: `${IMPORT}const form = document.createElement('form');\nif ('submit' in form) form.submit(1, ...args);`,
+      output: `${IMPORT}const form = callMethod(document, 'createElement', 'form');\nif (hasProperty(form, 'submit')) callMethod(form, 'submit', 1, ...args);`,
+      errors: [
+        { messageId: 'call', data: { kind: 'document', property: '.createElement' } },
+        { messageId: 'has', data: { kind: 'form', property: '\'submit\'' } },
+        { messageId: 'call', data: { kind: 'form', property: '.submit' } },
+      ],
+    },
+    {
+      code: `${IMPORT}document.forms.login[key];`,
+      output: `${IMPORT}getProperty(document, 'forms').login[key];`,
+      errors: [
+        { messageId: 'read', data: { kind: 'form', property: '[key]' } },
+        { messageId: 'read', data: { kind: 'document', property: '.forms' } },
+      ],
+    },
+    {
+      code: `${IMPORT}delete getProperty(document, 'forms')[0].myExpando;`,
+      output: `${IMPORT}deleteProperty(getProperty(document, 'forms')[0], 'myExpando');`,
+      errors: [{ messageId: 'delete', data: { kind: 'form', property: '.myExpando' } }],
+    },
+    {
+      code: `${IMPORT}const doc = iframe.contentWindow.document;\ndoc.cookie;\nnode.ownerDocument.body;`,
+      output: `${IMPORT}const doc = iframe.contentWindow.document;\ngetProperty(doc, 'cookie');\ngetProperty(node.ownerDocument, 'body');`,
+      errors: [
+        { messageId: 'read', data: { kind: 'document', property: '.cookie' } },
+        { messageId: 'read', data: { kind: 'document', property: '.body' } },
+      ],
+    },
+    {
+      // the results of these expressions are used, the helpers return nothing.
+      code: `${IMPORT}const result = (document.title = 'hello');\nconst deleted = delete document.myExpando;\ndocument.title += '!';\ndocument.counter++;`,
+      output: null,
+      errors: [
+        { messageId: 'write', data: { kind: 'document', property: '.title' } },
+        { messageId: 'delete', data: { kind: 'document', property: '.myExpando' } },
+        { messageId: 'write', data: { kind: 'document', property: '.title' } },
+        { messageId: 'write', data: { kind: 'document', property: '.counter' } },
+      ],
+    },
+    {
+      // without the helpers in scope, nothing is fixed.
+      code: 'document.title;',
+      output: null,
+      errors: [{ messageId: 'read', data: { kind: 'document', property: '.title' } }],
+    },
+    {
+      code: `${IMPORT}function submit(myForm) { myForm.submit(); }`,
+      output: `${IMPORT}function submit(myForm) { callMethod(myForm, 'submit'); }`,
+      options: [{ forms: ['myForm'] }],
+      errors: [{ messageId: 'call', data: { kind: 'form', property: '.submit' } }],
+    },
+    {
+      code: `${IMPORT}setProperty(document, 'title', (a, b));\ndocument.title = (a, b);`,
+      output: `${IMPORT}setProperty(document, 'title', (a, b));\nsetProperty(document, 'title', (a, b));`,
+      errors: [{ messageId: 'write', data: { kind: 'document', property: '.title' } }],
+    },
+  ],
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const { RuleTester } = require('eslint');
+const rule = require('../lib/rules/no-clobbering-field-name');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018, sourceType: 'module', ecmaFeatures: { jsx: true } },
+});
+
+ruleTester.run('no-clobbering-field-name', rule, {
+  valid: [
+    'const field = <form><input name="username" /><input id="password" /></form>;',
+
+    'element.innerHTML = \'<form><input name="username"></form>\';',
+
+    // not inside of a form.
+    'const field = <input name="action" />;',
+    'element.innerHTML = \'<input name="action"><form></form>\';',
+
+    // not exposed on the form.
+    'const div = <form><div id="action" /></form>;',
+
+    // the name is not static.
+    'const field = <form><input name={name} /></form>;',
+    'element.innerHTML = `<form><input name="${name}"></form>`;',
+  ],
+
+  invalid: [
+    {
+      code: 'const field = <form><fieldset><input name="action" /></fieldset></form>;',
+      errors: [{ messageId: 'overrides', data: { tag: 'input', attribute: 'name', value: 'action' } }],
+    },
+    {
+      code: 'const fields = <form>{fields.map(field => <button id={"submit"} key={field} />)}</form>;',
+      errors: [{ messageId: 'overrides', data: { tag: 'button', attribute: 'id', value: 'submit' } }],
+    },
+    {
+      code: 'element.innerHTML = \'<FORM method="post"><img name=elements><textarea id="method"></textarea></FORM>\';',
+      errors: [
+        { messageId: 'overrides', data: { tag: 'img', attribute: 'name', value: 'elements' } },
+        { messageId: 'overrides', data: { tag: 'textarea', attribute: 'id', value: 'method' } },
+      ],
+    },
+    {
+      code: 'element.innerHTML = html`<form class="${className}"><select name="length"></select></form>`;',
+      errors: [{ messageId: 'overrides', data: { tag: 'select', attribute: 'name', value: 'length' } }],
+    },
+  ],
+});
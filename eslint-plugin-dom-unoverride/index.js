@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  rules: {
+    'no-clobberable-access': require('./lib/rules/no-clobberable-access'),
+    'no-clobbering-field-name': require('./lib/rules/no-clobbering-field-name'),
+  },
+  configs: {
+    recommended: {
+      plugins: ['dom-unoverride'],
+      rules: {
+        'dom-unoverride/no-clobberable-access': 'error',
+        'dom-unoverride/no-clobbering-field-name': 'error',
+      },
+    },
+  },
+};
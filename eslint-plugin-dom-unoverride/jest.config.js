@@ -0,0 +1,7 @@
+'use strict';
+
+// the rules run in Node.js, using ESLint's RuleTester.
+module.exports = {
+  "rootDir": __dirname,
+  "testEnvironment": "node",
+};
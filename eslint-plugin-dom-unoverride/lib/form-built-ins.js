@@ -0,0 +1,50 @@
+'use strict';
+
+// Generated from scripts/built-ins.json by scripts/generate-built-ins.js, do not edit.
+// Members of HTMLFormElement and the interfaces it inherits from (including Object.prototype).
+module.exports = new Set([
+  'ATTRIBUTE_NODE', 'CDATA_SECTION_NODE', 'COMMENT_NODE', 'DOCUMENT_FRAGMENT_NODE', 'DOCUMENT_NODE',
+  'DOCUMENT_POSITION_CONTAINED_BY', 'DOCUMENT_POSITION_CONTAINS', 'DOCUMENT_POSITION_DISCONNECTED',
+  'DOCUMENT_POSITION_FOLLOWING', 'DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC', 'DOCUMENT_POSITION_PRECEDING',
+  'DOCUMENT_TYPE_NODE', 'ELEMENT_NODE', 'ENTITY_NODE', 'ENTITY_REFERENCE_NODE', 'NOTATION_NODE',
+  'PROCESSING_INSTRUCTION_NODE', 'TEXT_NODE', 'acceptCharset', 'accessKey', 'action', 'addEventListener', 'after',
+  'animate', 'append', 'appendChild', 'ariaAtomic', 'ariaAutoComplete', 'ariaBusy', 'ariaChecked', 'ariaColCount',
+  'ariaColIndex', 'ariaColIndexText', 'ariaColSpan', 'ariaCurrent', 'ariaDescription', 'ariaDisabled', 'ariaExpanded',
+  'ariaHasPopup', 'ariaHidden', 'ariaInvalid', 'ariaKeyShortcuts', 'ariaLabel', 'ariaLevel', 'ariaLive', 'ariaModal',
+  'ariaMultiLine', 'ariaMultiSelectable', 'ariaOrientation', 'ariaPlaceholder', 'ariaPosInSet', 'ariaPressed',
+  'ariaReadOnly', 'ariaRelevant', 'ariaRequired', 'ariaRoleDescription', 'ariaRowCount', 'ariaRowIndex',
+  'ariaRowIndexText', 'ariaRowSpan', 'ariaSelected', 'ariaSetSize', 'ariaSort', 'ariaValueMax', 'ariaValueMin',
+  'ariaValueNow', 'ariaValueText', 'assignedSlot', 'attachInternals', 'attachShadow', 'attributes', 'autocomplete',
+  'autofocus', 'baseURI', 'before', 'blur', 'checkValidity', 'childElementCount', 'childNodes', 'children', 'classList',
+  'className', 'click', 'clientHeight', 'clientLeft', 'clientTop', 'clientWidth', 'cloneNode', 'closest',
+  'compareDocumentPosition', 'constructor', 'contains', 'contentEditable', 'dataset', 'dir', 'dispatchEvent',
+  'draggable', 'elements', 'encoding', 'enctype', 'enterKeyHint', 'firstChild', 'firstElementChild', 'focus',
+  'getAnimations', 'getAttribute', 'getAttributeNS', 'getAttributeNames', 'getAttributeNode', 'getAttributeNodeNS',
+  'getBoundingClientRect', 'getClientRects', 'getElementsByClassName', 'getElementsByTagName', 'getElementsByTagNameNS',
+  'getRootNode', 'hasAttribute', 'hasAttributeNS', 'hasAttributes', 'hasChildNodes', 'hasOwnProperty', 'hidden',
+  'hidePopover', 'id', 'inert', 'innerHTML', 'innerText', 'inputMode', 'insertAdjacentElement', 'insertAdjacentHTML',
+  'insertAdjacentText', 'insertBefore', 'isConnected', 'isContentEditable', 'isDefaultNamespace', 'isEqualNode',
+  'isPrototypeOf', 'isSameNode', 'lang', 'lastChild', 'lastElementChild', 'length', 'localName', 'lookupNamespaceURI',
+  'lookupPrefix', 'matches', 'method', 'name', 'namespaceURI', 'nextElementSibling', 'nextSibling', 'noValidate',
+  'nodeName', 'nodeType', 'nodeValue', 'nonce', 'normalize', 'offsetHeight', 'offsetLeft', 'offsetParent', 'offsetTop',
+  'offsetWidth', 'onabort', 'onauxclick', 'onbeforeinput', 'onbeforematch', 'onbeforetoggle', 'onblur', 'oncancel',
+  'oncanplay', 'oncanplaythrough', 'onchange', 'onclick', 'onclose', 'oncontextlost', 'oncontextmenu',
+  'oncontextrestored', 'oncopy', 'oncuechange', 'oncut', 'ondblclick', 'ondrag', 'ondragend', 'ondragenter',
+  'ondragleave', 'ondragover', 'ondragstart', 'ondrop', 'ondurationchange', 'onemptied', 'onended', 'onerror',
+  'onfocus', 'onformdata', 'ongotpointercapture', 'oninput', 'oninvalid', 'onkeydown', 'onkeypress', 'onkeyup',
+  'onload', 'onloadeddata', 'onloadedmetadata', 'onloadstart', 'onlostpointercapture', 'onmousedown', 'onmouseenter',
+  'onmouseleave', 'onmousemove', 'onmouseout', 'onmouseover', 'onmouseup', 'onpaste', 'onpause', 'onplay', 'onplaying',
+  'onpointercancel', 'onpointerdown', 'onpointerenter', 'onpointerleave', 'onpointermove', 'onpointerout',
+  'onpointerover', 'onpointerrawupdate', 'onpointerup', 'onprogress', 'onratechange', 'onreset', 'onresize', 'onscroll',
+  'onscrollend', 'onsecuritypolicyviolation', 'onseeked', 'onseeking', 'onselect', 'onslotchange', 'onstalled',
+  'onsubmit', 'onsuspend', 'ontimeupdate', 'ontoggle', 'ontouchcancel', 'ontouchend', 'ontouchmove', 'ontouchstart',
+  'onvolumechange', 'onwaiting', 'onwebkitanimationend', 'onwebkitanimationiteration', 'onwebkitanimationstart',
+  'onwebkittransitionend', 'onwheel', 'outerHTML', 'outerText', 'ownerDocument', 'parentElement', 'parentNode', 'part',
+  'popover', 'prefix', 'prepend', 'previousElementSibling', 'previousSibling', 'propertyIsEnumerable', 'querySelector',
+  'querySelectorAll', 'rel', 'relList', 'remove', 'removeAttribute', 'removeAttributeNS', 'removeAttributeNode',
+  'removeChild', 'removeEventListener', 'replaceChild', 'replaceChildren', 'replaceWith', 'reportValidity',
+  'requestSubmit', 'reset', 'role', 'scroll', 'scrollBy', 'scrollHeight', 'scrollIntoView', 'scrollLeft', 'scrollTo',
+  'scrollTop', 'scrollWidth', 'setAttribute', 'setAttributeNS', 'setAttributeNode', 'setAttributeNodeNS', 'shadowRoot',
+  'showPopover', 'slot', 'spellcheck', 'style', 'submit', 'tabIndex', 'tagName', 'target', 'textContent', 'title',
+  'toLocaleString', 'toString', 'toggleAttribute', 'togglePopover', 'translate', 'valueOf', 'webkitMatchesSelector',
+]);
@@ -0,0 +1,229 @@
+'use strict';
+
+/*
+ * Static inference of the expressions that evaluate to a form or a document.
+ * It is deliberately conservative: an expression is only known if it cannot reasonably be anything else.
+ */
+
+const FORM = 'form';
+const DOCUMENT = 'document';
+
+// the last compound selector selects a form: 'form', '#login > form.compact', 'form[name="search"]', ...
+const FORM_SELECTOR = /(?:^|[\s>+~,(])form(?![\w-])[^\s>+~,()]*$/i;
+
+const WINDOWS = ['window', 'self', 'top', 'parent', 'globalThis'];
+const WINDOW_PROPERTIES = ['contentWindow', 'defaultView'];
+const DOCUMENT_PROPERTIES = ['ownerDocument', 'contentDocument'];
+const DOCUMENT_FACTORIES = ['parseFromString', 'createHTMLDocument', 'createDocument'];
+const FORM_COLLECTION_METHODS = ['item', 'namedItem'];
+
+// variables can be initialised with a known node, which can be another variable. Bounds the recursion.
+const MAX_DEPTH = 10;
+
+function getStaticString(node) {
+  if (!node) {
+    return null;
+  }
+
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+
+  return null;
+}
+
+function getPropertyName(memberExpression) {
+  if (!memberExpression.computed) {
+    return memberExpression.property.name;
+  }
+
+  return getStaticString(memberExpression.property);
+}
+
+function findVariable(scope, identifier) {
+  let current = scope;
+
+  while (current) {
+    const reference = current.references.find(ref => ref.identifier === identifier);
+    if (reference) {
+      return reference.resolved;
+    }
+
+    const variable = current.set.get(identifier.name);
+    if (variable) {
+      return variable;
+    }
+
+    current = current.upper;
+  }
+
+  return null;
+}
+
+/**
+ * Describes a property access, including the ones already rewritten to the helpers of dom-unoverride
+ * (getProperty(node, 'name'), callMethod(node, 'name', ...args)).
+ *
+ * @param {!Object} node The expression.
+ * @returns {?{ object: Object, property: ?string, args: ?Array<Object> }} The access, null if node is none.
+ */
+function describeAccess(node) {
+  if (node.type === 'MemberExpression') {
+    return { object: node.object, property: getPropertyName(node), args: null };
+  }
+
+  if (node.type !== 'CallExpression') {
+    return null;
+  }
+
+  const callee = node.callee;
+  if (callee.type === 'MemberExpression') {
+    return { object: callee.object, property: getPropertyName(callee), args: node.arguments };
+  }
+
+  if (callee.type === 'Identifier' && node.arguments.length >= 2) {
+    const property = getStaticString(node.arguments[1]);
+
+    if (callee.name === 'getProperty') {
+      return { object: node.arguments[0], property, args: null };
+    }
+
+    if (callee.name === 'callMethod') {
+      return { object: node.arguments[0], property, args: node.arguments.slice(2) };
+    }
+  }
+
+  return null;
+}
+
+function isWindow(node) {
+  if (node.type === 'Identifier') {
+    return WINDOWS.includes(node.name);
+  }
+
+  const access = describeAccess(node);
+
+  return access !== null && access.args === null && WINDOW_PROPERTIES.includes(access.property);
+}
+
+/**
+ * Creates the inference for a file being linted.
+ *
+ * @param {!Object} context The context of the rule.
+ * @param {{ forms: ?Array<string>, documents: ?Array<string> }} options Names of the variables (e.g. parameters)
+ *  to consider as forms or documents.
+ * @returns {!function(Object): ?string} Returns 'form', 'document' or null for an expression.
+ */
+function makeNodeKindResolver(context, options) {
+  const formNames = options.forms || [];
+  const documentNames = options.documents || [];
+
+  function getVariableKind(identifier, scope, depth) {
+    if (formNames.includes(identifier.name)) {
+      return FORM;
+    }
+
+    if (documentNames.includes(identifier.name)) {
+      return DOCUMENT;
+    }
+
+    const variable = findVariable(scope, identifier);
+
+    // the global document: either undeclared, or declared by the environment (env: browser).
+    if (!variable || variable.defs.length === 0) {
+      return identifier.name === 'document' ? DOCUMENT : null;
+    }
+
+    if (variable.defs.length !== 1 || variable.defs[0].type !== 'Variable') {
+      return null;
+    }
+
+    const declarator = variable.defs[0].node;
+    const isReassigned = variable.references.some(reference => reference.isWrite() && !reference.init);
+    if (!declarator.init || declarator.id.type !== 'Identifier' || isReassigned) {
+      return null;
+    }
+
+    // the initialiser is evaluated in the scope the variable is declared in.
+    return getKind(declarator.init, variable.scope, depth + 1);
+  }
+
+  function isFormCollection(node, scope, depth) {
+    const access = describeAccess(node);
+
+    return access !== null && access.args === null && access.property === 'forms'
+      && getKind(access.object, scope, depth + 1) === DOCUMENT;
+  }
+
+  function getCallKind(access, scope, depth) {
+    const firstArg = getStaticString(access.args[0]);
+
+    if ((access.property === 'querySelector' || access.property === 'closest')
+      && firstArg !== null && FORM_SELECTOR.test(firstArg.trim())) {
+      return FORM;
+    }
+
+    if (access.property === 'createElement' && firstArg !== null && firstArg.toLowerCase() === 'form') {
+      return FORM;
+    }
+
+    if (DOCUMENT_FACTORIES.includes(access.property)) {
+      return DOCUMENT;
+    }
+
+    if (FORM_COLLECTION_METHODS.includes(access.property) && isFormCollection(access.object, scope, depth)) {
+      return FORM;
+    }
+
+    return null;
+  }
+
+  function getKind(node, scope, depth) {
+    if (depth > MAX_DEPTH) {
+      return null;
+    }
+
+    if (node.type === 'Identifier') {
+      return getVariableKind(node, scope, depth);
+    }
+
+    const access = describeAccess(node);
+    if (access === null) {
+      return null;
+    }
+
+    if (access.args !== null) {
+      return getCallKind(access, scope, depth);
+    }
+
+    if (DOCUMENT_PROPERTIES.includes(access.property)) {
+      return DOCUMENT;
+    }
+
+    if (access.property === 'document' && isWindow(access.object)) {
+      return DOCUMENT;
+    }
+
+    // document.forms[0], document.forms.login
+    if (access.property !== 'length' && isFormCollection(access.object, scope, depth)) {
+      return FORM;
+    }
+
+    return null;
+  }
+
+  return function getNodeKind(node) {
+    return getKind(node, context.getScope(), 0);
+  };
+}
+
+module.exports = {
+  FORM,
+  DOCUMENT,
+  getStaticString,
+  makeNodeKindResolver,
+};
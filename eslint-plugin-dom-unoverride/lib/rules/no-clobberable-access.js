@@ -0,0 +1,192 @@
+'use strict';
+
+const { getStaticString, makeNodeKindResolver } = require('../known-nodes');
+
+/*
+ * Forms and documents are [LegacyOverrideBuiltIns]: `form.action` returns <input name="action"> if there is one.
+ * Reports the accesses to their properties, and rewrites them to the helpers of dom-unoverride.
+ *
+ * The fixes only apply when the helper they use is in scope (imported or declared), they never add imports.
+ */
+
+function isHelperInScope(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name);
+    if (variable && variable.defs.length > 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function isStatement(node) {
+  // the helpers return nothing: expressions whose result is used cannot be rewritten.
+  return node.parent.type === 'ExpressionStatement';
+}
+
+// ++, destructuring and for...in/of targets: they cannot be rewritten to setProperty.
+function isWriteTarget(node) {
+  const parent = node.parent;
+
+  switch (parent.type) {
+    case 'UpdateExpression':
+    case 'ArrayPattern':
+    case 'RestElement':
+      return true;
+    case 'AssignmentPattern':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return parent.left === node;
+    case 'Property':
+      return parent.value === node && parent.parent.type === 'ObjectPattern';
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow accessing the properties of forms and documents directly',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    fixable: 'code',
+    schema: [{
+      type: 'object',
+      properties: {
+        forms: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        documents: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        allow: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+      },
+      additionalProperties: false,
+    }],
+    messages: {
+      read: '{{kind}}{{property}} can be overridden by a named element, use getProperty().',
+      write: '{{kind}}{{property}} can be overridden by a named element, use setProperty().',
+      has: '"in" {{kind}} can be fooled by a named element, use hasProperty().',
+      delete: '{{kind}}{{property}} can be overridden by a named element, use deleteProperty().',
+      call: '{{kind}}{{property}}() can be overridden by a named element, use callMethod().',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const allowed = options.allow || [];
+    const getNodeKind = makeNodeKindResolver(context, options);
+    const sourceCode = context.getSourceCode();
+
+    function getArgumentText(node) {
+      // the parentheses around an expression are not part of its text.
+      const text = sourceCode.getText(node);
+
+      return node.type === 'SequenceExpression' ? `(${text})` : text;
+    }
+
+    function getPropertyText(memberExpression) {
+      if (memberExpression.computed) {
+        return getArgumentText(memberExpression.property);
+      }
+
+      return `'${memberExpression.property.name}'`;
+    }
+
+    function getPropertyLabel(memberExpression) {
+      if (memberExpression.computed) {
+        return `[${sourceCode.getText(memberExpression.property)}]`;
+      }
+
+      return `.${memberExpression.property.name}`;
+    }
+
+    function isAllowed(memberExpression) {
+      const name = memberExpression.computed
+        ? getStaticString(memberExpression.property)
+        : memberExpression.property.name;
+
+      return allowed.includes(name);
+    }
+
+    function report(node, messageId, kind, property, helper, getReplacement) {
+      context.report({
+        node,
+        messageId,
+        data: { kind, property },
+        fix: getReplacement && isHelperInScope(context.getScope(), helper)
+          ? fixer => fixer.replaceText(node, getReplacement())
+          : null,
+      });
+    }
+
+    return {
+      MemberExpression(node) {
+        const kind = getNodeKind(node.object);
+        if (kind === null || isAllowed(node)) {
+          return;
+        }
+
+        const parent = node.parent;
+        const object = getArgumentText(node.object);
+        const property = getPropertyText(node);
+        const label = getPropertyLabel(node);
+
+        if (parent.type === 'CallExpression' && parent.callee === node) {
+          const args = [object, property].concat(parent.arguments.map(getArgumentText));
+
+          report(parent, 'call', kind, label, 'callMethod', () => `callMethod(${args.join(', ')})`);
+
+          return;
+        }
+
+        if (parent.type === 'AssignmentExpression' && parent.left === node) {
+          const value = getArgumentText(parent.right);
+          const fix = parent.operator === '=' && isStatement(parent)
+            ? () => `setProperty(${object}, ${property}, ${value})`
+            : null;
+
+          report(parent, 'write', kind, label, 'setProperty', fix);
+
+          return;
+        }
+
+        if (parent.type === 'UnaryExpression' && parent.operator === 'delete') {
+          const fix = isStatement(parent) ? () => `deleteProperty(${object}, ${property})` : null;
+
+          report(parent, 'delete', kind, label, 'deleteProperty', fix);
+
+          return;
+        }
+
+        if (isWriteTarget(node)) {
+          report(node, 'write', kind, label, 'setProperty', null);
+
+          return;
+        }
+
+        // `new form.Constructor()` would become `new getProperty(...)()`.
+        const fix = parent.type === 'NewExpression' && parent.callee === node
+          ? null
+          : () => `getProperty(${object}, ${property})`;
+
+        report(node, 'read', kind, label, 'getProperty', fix);
+      },
+
+      BinaryExpression(node) {
+        if (node.operator !== 'in') {
+          return;
+        }
+
+        const kind = getNodeKind(node.right);
+        if (kind === null) {
+          return;
+        }
+
+        const object = getArgumentText(node.right);
+        const property = getArgumentText(node.left);
+
+        report(node, 'has', kind, property, 'hasProperty', () => `hasProperty(${object}, ${property})`);
+      },
+    };
+  },
+};
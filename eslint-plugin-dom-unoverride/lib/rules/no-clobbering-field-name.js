@@ -0,0 +1,154 @@
+'use strict';
+
+const FORM_BUILT_INS = require('../form-built-ins');
+const { getStaticString } = require('../known-nodes');
+
+/*
+ * Reports the elements of a form whose name or id is one of the built-ins of HTMLFormElement
+ * (<input name="action"> replaces form.action), in JSX and in HTML strings and templates.
+ */
+
+// elements exposed as named properties of their form: listed elements, and images.
+const NAMED_TAGS = ['button', 'fieldset', 'img', 'input', 'object', 'output', 'select', 'textarea'];
+const NAMING_ATTRIBUTES = ['name', 'id'];
+
+const TAG = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE = /(?:^|\s)([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>`=]+))/g;
+
+// stands for the expressions of template literals, attributes that contain one are not static.
+const EXPRESSION = '\u0000';
+
+function isOverridingName(value) {
+  return typeof value === 'string' && value !== '' && !value.includes(EXPRESSION) && FORM_BUILT_INS.has(value);
+}
+
+function getJsxName(nameNode) {
+  return nameNode.type === 'JSXIdentifier' ? nameNode.name : null;
+}
+
+function getJsxAttributeValue(attribute) {
+  const value = attribute.value;
+  if (value === null) {
+    return null;
+  }
+
+  if (value.type === 'JSXExpressionContainer') {
+    return getStaticString(value.expression);
+  }
+
+  return getStaticString(value);
+}
+
+function isInsideJsxForm(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current.type === 'JSXElement' && getJsxName(current.openingElement.name) === 'form') {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function getAttributes(attributesSource) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(attributesSource)) !== null) {
+    const value = [match[2], match[3], match[4]].find(candidate => candidate !== void 0);
+    attributes[match[1].toLowerCase()] = value;
+  }
+
+  return attributes;
+}
+
+/**
+ * Finds the elements of forms that override a built-in in an HTML string.
+ *
+ * @param {!string} html The HTML.
+ * @returns {!Array<{ tag: string, attribute: string, value: string }>} The overriding elements.
+ */
+function findOverridingElements(html) {
+  const found = [];
+  let formDepth = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(html)) !== null) {
+    const isClosing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    if (tag === 'form') {
+      formDepth = Math.max(0, formDepth + (isClosing ? -1 : 1));
+    } else if (!isClosing && formDepth > 0 && NAMED_TAGS.includes(tag)) {
+      const attributes = getAttributes(match[3]);
+
+      NAMING_ATTRIBUTES
+        .filter(attribute => isOverridingName(attributes[attribute]))
+        .forEach(attribute => found.push({ tag, attribute, value: attributes[attribute] }));
+    }
+  }
+
+  return found;
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow form fields whose name or id overrides a built-in of their form',
+      category: 'Possible Errors',
+      recommended: true,
+    },
+    schema: [],
+    messages: {
+      overrides: '<{{tag}} {{attribute}}="{{value}}"> overrides form.{{value}}.',
+    },
+  },
+
+  create(context) {
+    function checkHtml(node, html) {
+      if (!/<form[\s>]/i.test(html)) {
+        return;
+      }
+
+      findOverridingElements(html).forEach(data => {
+        context.report({ node, messageId: 'overrides', data });
+      });
+    }
+
+    return {
+      JSXOpeningElement(node) {
+        const tag = getJsxName(node.name);
+        if (!NAMED_TAGS.includes(tag) || !isInsideJsxForm(node)) {
+          return;
+        }
+
+        node.attributes
+          .filter(attribute => attribute.type === 'JSXAttribute')
+          .filter(attribute => NAMING_ATTRIBUTES.includes(getJsxName(attribute.name)))
+          .forEach(attribute => {
+            const value = getJsxAttributeValue(attribute);
+            if (!isOverridingName(value)) {
+              return;
+            }
+
+            context.report({
+              node: attribute,
+              messageId: 'overrides',
+              data: { tag, attribute: attribute.name.name, value },
+            });
+          });
+      },
+
+      Literal(node) {
+        if (typeof node.value === 'string') {
+          checkHtml(node, node.value);
+        }
+      },
+
+      TemplateLiteral(node) {
+        checkHtml(node, node.quasis.map(quasi => quasi.value.cooked || quasi.value.raw).join(EXPRESSION));
+      },
+    };
+  },
+};
@@ -3,5 +3,9 @@
 module.exports = {
   "globalSetup": "./__tests-setup__/setup.js",
   "globalTeardown": "./__tests-setup__/teardown.js",
-  "testEnvironment": "./__tests-setup__/PuppeteerRnvironment.js"
+  "testEnvironment": "./__tests-setup__/PuppeteerRnvironment.js",
+  "setupTestFrameworkScriptFile": "./__tests-setup__/test-helpers.js",
+
+  // the ESLint plugin and the command line interface have their own test suites.
+  "testPathIgnorePatterns": ["/node_modules/", "/eslint-plugin-dom-unoverride/", "/dom-unoverride-cli/"],
 };
@@ -0,0 +1,13 @@
+'use strict';
+
+// Runs the test suites against JavaScript DOM implementations.
+// The implementation is selected using --env (see __tests-setup__/dom-implementations)
+module.exports = {
+  "setupTestFrameworkScriptFile": "./__tests-setup__/test-helpers.js",
+
+  // the ESLint plugin and the command line interface have their own test suites.
+  "testPathIgnorePatterns": ["/node_modules/", "/eslint-plugin-dom-unoverride/", "/dom-unoverride-cli/"],
+
+  // test functions are serialized and evaluated inside of the DOM, they must not depend on babel helpers.
+  "transform": {},
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+/*
+ * The ESLint plugin and the command line interface are published separately, each with its own copy of the built-ins.
+ * Both copies are generated from built-ins.json: edit it, then run `npm run build:built-ins`.
+ * With --check, nothing is written: the script fails if a copy is out of date (see `npm test`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LINE_LENGTH = 120;
+const GENERATED = '// Generated from scripts/built-ins.json by scripts/generate-built-ins.js, do not edit.';
+
+function formatNames(names) {
+  const lines = [];
+  let line = ' ';
+
+  names.forEach(name => {
+    const item = ` '${name}',`;
+    if (line.length + item.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = ' ';
+    }
+
+    line += item;
+  });
+
+  lines.push(line);
+
+  return lines.join('\n');
+}
+
+function renderEslintPlugin({ form }) {
+  return `'use strict';
+
+${GENERATED}
+// Members of HTMLFormElement and the interfaces it inherits from (including Object.prototype).
+module.exports = new Set([
+${formatNames(form)}
+]);
+`;
+}
+
+function renderCli({ form, document }) {
+  return `${GENERATED}
+
+/*
+ * The built-ins of HTMLFormElement and Document, including those they inherit (Element, Node, Object.prototype, ...).
+ * Taken from jsdom, with the members it does not implement yet added by hand.
+ */
+
+export const FORM_BUILT_INS = new Set([
+${formatNames(form)}
+]);
+
+export const DOCUMENT_BUILT_INS = new Set([
+${formatNames(document)}
+]);
+`;
+}
+
+const root = path.join(__dirname, '..');
+const builtIns = JSON.parse(fs.readFileSync(path.join(__dirname, 'built-ins.json'), 'utf8'));
+
+const outputs = [
+  ['eslint-plugin-dom-unoverride/lib/form-built-ins.js', renderEslintPlugin(builtIns)],
+  ['dom-unoverride-cli/lib/built-ins.mjs', renderCli(builtIns)],
+];
+
+const check = process.argv.includes('--check');
+let outdated = false;
+
+outputs.forEach(([file, content]) => {
+  const filePath = path.join(root, file);
+
+  if (!check) {
+    fs.writeFileSync(filePath, content);
+
+    return;
+  }
+
+  const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  if (current !== content) {
+    process.stderr.write(`${file} is out of date, run npm run build:built-ins.\n`);
+    outdated = true;
+  }
+});
+
+process.exitCode = outdated ? 1 : 0;
@@ -0,0 +1,86 @@
+import { hasOwnProperty, isBuiltIn } from './common';
+import {
+  getInheritedOwnPropertyDescriptor,
+  getInheritedProperty,
+  hasInheritedProperty,
+} from './inherited-operations';
+import {
+  defineProperty,
+  deleteProperty,
+  explainOverride,
+  findOverrides,
+  getNamedItem,
+  getNamedItems,
+  getOverridingElements,
+  getOwnPropertyDescriptor,
+  getProperty,
+  hasProperty,
+  setProperty,
+} from './generic-operations';
+
+/*
+ * DOMStringMap (element.dataset) is [LegacyOverrideBuiltIns]: data-* attributes are exposed as own properties
+ * and take precedence over its built-ins, which are the members of Object.prototype (data-to-string => toString).
+ *
+ * The attributes are not elements, nothing needs to be removed from the DOM: built-ins are resolved from the prototype,
+ * and the data attributes are accessed separately using getDatasetEntries.
+ */
+
+function isOverridden(dataset, property) {
+  return typeof property === 'string' && hasOwnProperty(dataset, property) && isBuiltIn(dataset, property);
+}
+
+function sanitizeDatasetMethod(callback, inheritedCallback) {
+  return function sanitizedMethod(dataset, property, thirdArg) {
+    if (!isOverridden(dataset, property)) {
+      return callback(dataset, property, thirdArg);
+    }
+
+    return inheritedCallback(dataset, property, thirdArg);
+  };
+}
+
+const getDatasetProperty = sanitizeDatasetMethod(getProperty, getInheritedProperty);
+const hasDatasetProperty = sanitizeDatasetMethod(hasProperty, hasInheritedProperty);
+const getDatasetOwnPropertyDescriptor = sanitizeDatasetMethod(
+  getOwnPropertyDescriptor,
+  getInheritedOwnPropertyDescriptor,
+);
+
+function getDatasetOwnKeys(dataset) {
+  return Reflect.ownKeys(dataset).filter(key => !isOverridden(dataset, key));
+}
+
+/**
+ * Returns the data attributes of a DOMStringMap, including the ones named after built-ins.
+ *
+ * @param {!DOMStringMap} dataset The dataset of an element.
+ * @returns {!Object<string, string>} The values of the data attributes, indexed by their camel-cased name.
+ *  The object has no prototype, attributes named after the members of Object.prototype cannot be mistaken for them.
+ */
+export function getDatasetEntries(dataset) {
+  const entries = Object.create(null);
+
+  // the own properties of a DOMStringMap are exactly its data attributes (and the symbols of some DOM implementations).
+  Reflect.ownKeys(dataset).filter(key => typeof key === 'string').forEach(key => {
+    entries[key] = Reflect.getOwnPropertyDescriptor(dataset, key).value;
+  });
+
+  return entries;
+}
+
+// setting, defining and deleting properties of a DOMStringMap always writes data attributes, these are left untouched.
+export {
+  getDatasetProperty as getProperty,
+  setProperty,
+  hasDatasetProperty as hasProperty,
+  getDatasetOwnPropertyDescriptor as getOwnPropertyDescriptor,
+  defineProperty,
+  deleteProperty,
+  getDatasetOwnKeys as getOwnKeys,
+  explainOverride,
+  findOverrides,
+  getNamedItem,
+  getNamedItems,
+  getOverridingElements,
+};
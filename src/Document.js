@@ -1,7 +1,7 @@
 import {
-  getConstructorName,
-  hasOwnProperty, isHtmlForm,
-  makeMethodSanitizer, sanitizeSingle,
+  getAttribute, getElementNames, getNamedItemValue, getNamedPropertyValue,
+  isHtmlCollection, isHtmlImage, isIframeWindow, isNamedPropertyDescriptor, isRoot,
+  makeMethodSanitizer, makeNamedItemsGetter, makeOverrideInspector, resolveInherited, sanitizeSingle, UNRESOLVED,
 } from './common';
 import {
   defineProperty,
@@ -11,92 +11,154 @@ import {
   hasProperty,
   setProperty,
 } from './generic-operations';
-import { getProperty as safeGetProperty } from './index';
+import {
+  deleteInheritedProperty,
+  getInheritedOwnPropertyDescriptor,
+  getInheritedProperty,
+  hasInheritedProperty,
+  setInheritedProperty,
+} from './inherited-operations';
+import { detectCapabilities, hasDocumentNamedProperties, SPEC_CAPABILITIES } from './capabilities';
+import { withOverrideCache } from './override-cache';
+import { callIntrinsic, getIntrinsicProperty, implementsInterface } from './realm';
+
+/*
+ * https://html.spec.whatwg.org/multipage/dom.html#dom-document-nameditem
+ *
+ * The named items of a document are the elements of its tree (not those of shadow trees) that are:
+ * - exposed embed, form, iframe, img and exposed object elements with a non-empty name attribute,
+ * - exposed object elements with a non-empty id attribute,
+ * - img elements with a non-empty id attribute, as long as they also have a non-empty name attribute.
+ *
+ * An embed or object element is exposed if it has no exposed object ancestor.
+ * Object elements must additionally not be showing their fallback content, or have no object or embed descendant:
+ * whether an object shows its fallback content cannot be observed, browsers (e.g. Chromium) consider that objects
+ * with object or embed descendants are never exposed, and so do we.
+ *
+ * The value of the property is the named item, the window of the iframe if it is an iframe,
+ * or an HTMLCollection (that can mix iframes and other elements) if there are several.
+ */
+
+// interface => the capability telling whether the engine exposes its elements by name (embeds are handled separately).
+const NAMED_BY_NAME = {
+  HTMLFormElement: 'documentForms',
+  HTMLIFrameElement: 'documentIframes',
+  HTMLImageElement: 'documentImages',
+};
 
-function isNamedElementOverride(document, property, value) {
-  return safeGetProperty(value, 'name') === property && isRoot(document, value);
+function isObject(element) {
+  return implementsInterface(element, 'HTMLObjectElement');
 }
 
-function isOverridden(document, property) {
-  if (!hasOwnProperty(document, property)) {
+function isExposedObject(object) {
+  if (callIntrinsic(object, 'Element', 'querySelector', 'object, embed') !== null) {
     return false;
   }
 
-  /*
-  - Exposed embed, form, iframe => name attribute
-  - Exposed object elements     => id, name
-  - img                         => id (if they have a name), name
-   */
+  return !hasExposedObjectAncestor(object);
+}
+
+function hasExposedObjectAncestor(element) {
+  // the parentNode of a form can be overridden.
+  let ancestor = getIntrinsicProperty(element, 'Node', 'parentNode');
 
-  const value = document[property];
-  const constructorName = getConstructorName(value);
+  while (ancestor) {
+    if (isObject(ancestor) && isExposedObject(ancestor)) {
+      return true;
+    }
 
-  if (isHtmlForm(value) || constructorName === 'HTMLEmbedElement') {
-    return isNamedElementOverride(document, property, value);
+    ancestor = getIntrinsicProperty(ancestor, 'Node', 'parentNode');
   }
 
-  if (constructorName === 'HTMLObjectElement') {
-    return (
-      safeGetProperty(value, 'name') === property
-      || safeGetProperty(value, 'id') === property
-    ) && isRoot(document, value);
+  return false;
+}
+
+// capabilities: the rules the engine follows (see ./capabilities), the sanitizers ignore what it never exposes.
+function isNamedItem(document, property, element, capabilities) {
+  if (!isRoot(document, element)) {
+    return false;
   }
 
-  if (constructorName === 'HTMLImageElement') {
-    if (!isRoot(document, value)) {
-      return false;
-    }
+  const name = getAttribute(element, 'name');
+  const id = getAttribute(element, 'id');
 
-    const name = safeGetProperty(value, 'name');
-    if (name === property) {
-      return true;
-    }
+  if (isObject(element)) {
+    const isNamed = (capabilities.documentObjects && name === property)
+      || (capabilities.documentObjectIds && id === property);
 
-    if (!name) {
-      return false;
-    }
+    return isNamed && isExposedObject(element);
+  }
 
-    return safeGetProperty(value, 'id') === property;
+  if (implementsInterface(element, 'HTMLEmbedElement')) {
+    return capabilities.documentEmbeds && name === property && !hasExposedObjectAncestor(element);
   }
 
-  if (constructorName === 'HTMLCollection') {
+  if (capabilities.documentImageIds && isHtmlImage(element) && name && id === property) {
     return true;
   }
 
+  return name === property && Object.keys(NAMED_BY_NAME).some(interfaceName => {
+    return capabilities[NAMED_BY_NAME[interfaceName]] && implementsInterface(element, interfaceName);
+  });
+}
+
+function _isOverridden(document, property) {
+  // named items always have a non-empty name or id.
+  if (typeof property !== 'string' || property === '') {
+    return false;
+  }
+
+  if (!hasDocumentNamedProperties(document)) {
+    return false;
+  }
+
+  const capabilities = detectCapabilities(document);
+
+  const descriptor = Reflect.getOwnPropertyDescriptor(document, property);
+  if (!isNamedPropertyDescriptor(descriptor)) {
+    return false;
+  }
+
+  const value = descriptor.value;
+
   if (isIframeWindow(value)) {
-    return isNamedElementOverride(document, property, value.frameElement);
+    return isNamedItem(document, property, value.frameElement, capabilities);
   }
 
-  return false;
-}
+  if (isHtmlCollection(value)) {
+    const elements = Array.from(value);
 
-function isRoot(document, node) {
-  const getRoot = Node.prototype.getRootNode;
-  if (getRoot) {
-    return getRoot.call(node) === document;
+    return elements.length > 1 && elements.every(element => isNamedItem(document, property, element, capabilities));
   }
 
-  return safeGetProperty(node, 'ownerDocument') === document;
-}
+  if (implementsInterface(value, 'Element')) {
+    return isNamedItem(document, property, value, capabilities);
+  }
 
-function isIframeWindow(object) {
-  return getConstructorName(object) === 'Window' && object.frameElement;
+  return false;
 }
 
+const isOverridden = withOverrideCache(_isOverridden);
+
 const _sanitizeDocMethod = makeMethodSanitizer(isOverridden);
 
-function sanitizeDocMethod(callback) {
-  const sanitized = _sanitizeDocMethod(callback);
+function sanitizeDocMethod(callback, inheritedCallback) {
+  const sanitized = _sanitizeDocMethod(callback, inheritedCallback);
 
   return function sanitizedMethod(document, property, thirdArg) {
     // SPECIAL CASE: We get a *window* because iframes generate a property that give their window object
     const value = document[property];
     if (isIframeWindow(value)) {
       const iframe = value.frameElement;
-      if (!isNamedElementOverride(document, property, iframe)) {
+      if (!isOverridden(document, property)) {
         return callback(document, property, thirdArg);
       }
 
+      const inheritedResult = resolveInherited(inheritedCallback, document, property, thirdArg);
+      if (inheritedResult !== UNRESOLVED) {
+        return inheritedResult;
+      }
+
       return sanitizeSingle(sanitizedMethod, iframe, document, property, thirdArg);
     }
 
@@ -104,17 +166,75 @@ function sanitizeDocMethod(callback) {
   };
 }
 
-const getDocProperty = sanitizeDocMethod(getProperty);
-const setDocProperty = sanitizeDocMethod(setProperty);
-const hasDocProperty = sanitizeDocMethod(hasProperty);
-const getDocOwnPropertyDescriptor = sanitizeDocMethod(getOwnPropertyDescriptor);
+const getDocProperty = sanitizeDocMethod(getProperty, getInheritedProperty);
+const setDocProperty = sanitizeDocMethod(setProperty, setInheritedProperty);
+const hasDocProperty = sanitizeDocMethod(hasProperty, hasInheritedProperty);
+const getDocOwnPropertyDescriptor = sanitizeDocMethod(getOwnPropertyDescriptor, getInheritedOwnPropertyDescriptor);
 const defineDocProperty = sanitizeDocMethod(defineProperty);
-const deleteDocProperty = sanitizeDocMethod(deleteProperty);
+const deleteDocProperty = sanitizeDocMethod(deleteProperty, deleteInheritedProperty);
 
 function getDocOwnKeys(doc) {
   return Reflect.ownKeys(doc).filter(name => !isOverridden(doc, name));
 }
 
+function getOverrideRule(document, key, element) {
+  if (getAttribute(element, 'name') === key) {
+    return 'document-exposed-name';
+  }
+
+  if (isHtmlImage(element)) {
+    return 'document-named-image-id';
+  }
+
+  return 'document-object-id';
+}
+
+const {
+  explainOverride,
+  findOverrides,
+  getOverridingElements,
+} = makeOverrideInspector(isOverridden, getOverrideRule, Reflect.ownKeys);
+
+// the elements that can be named items, isNamedItem applies the rest of the rules.
+const NAMED_ITEM_CANDIDATES_SELECTOR = 'embed[name], form[name], iframe[name], img[name], object[name], object[id]';
+
+function getNamedItemCandidates(document) {
+  return Array.from(callIntrinsic(document, 'Document', 'querySelectorAll', NAMED_ITEM_CANDIDATES_SELECTOR));
+}
+
+function getDocNamedItem(document, name) {
+  if (typeof name !== 'string' || name === '') {
+    return null;
+  }
+
+  if (_isOverridden(document, name)) {
+    return getNamedPropertyValue(document[name]);
+  }
+
+  // the named property is shadowed by an own property (document.location, expandos), or not implemented:
+  // the rules of the spec apply, whatever the engine exposes.
+  const namedItem = getNamedItemValue(
+    getNamedItemCandidates(document).filter(element => isNamedItem(document, name, element, SPEC_CAPABILITIES)),
+  );
+
+  if (implementsInterface(namedItem, 'HTMLIFrameElement')) {
+    return getIntrinsicProperty(namedItem, 'HTMLIFrameElement', 'contentWindow') || namedItem;
+  }
+
+  return namedItem;
+}
+
+function getDocNamedItemNames(document) {
+  const names = [];
+  getNamedItemCandidates(document).forEach(element => {
+    names.push(...getElementNames(element));
+  });
+
+  return names;
+}
+
+const getDocNamedItems = makeNamedItemsGetter(getDocNamedItem, getDocNamedItemNames);
+
 export {
   getDocProperty as getProperty,
   setDocProperty as setProperty,
@@ -123,4 +243,9 @@ export {
   defineDocProperty as defineProperty,
   deleteDocProperty as deleteProperty,
   getDocOwnKeys as getOwnKeys,
+  explainOverride,
+  findOverrides,
+  getDocNamedItem as getNamedItem,
+  getDocNamedItems as getNamedItems,
+  getOverridingElements,
 };
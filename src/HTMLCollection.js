@@ -0,0 +1,116 @@
+import { hasOwnProperty, isIndiceProperty } from './common';
+import { getInheritedOwnPropertyDescriptor } from './inherited-operations';
+import {
+  defineProperty,
+  deleteProperty,
+  explainOverride,
+  findOverrides,
+  getNamedItem,
+  getNamedItems,
+  getOverridingElements,
+  getOwnPropertyDescriptor,
+  getProperty,
+  hasProperty,
+  setProperty,
+} from './generic-operations';
+
+/*
+ * Collections (HTMLCollection, HTMLFormControlsCollection, RadioNodeList, ...) are not [LegacyOverrideBuiltIns]:
+ * their prototype members always win over their entries. But their entries are still exposed as own properties,
+ * sharing a namespace with any member that could be added to the prototype in the future.
+ *
+ * This sanitizer hides the entries so that only the members remain, entries are accessed using getCollectionItem.
+ */
+
+function isEntry(collection, property) {
+  if (typeof property !== 'string' || !hasOwnProperty(collection, property)) {
+    return false;
+  }
+
+  // supported names and indices cannot be redefined as expandos, an own property matching an item is its entry.
+  // (some implementations, like jsdom, return a new RadioNodeList on every access so the values cannot be compared)
+  return getCollectionItem(collection, property) !== null;
+}
+
+function sanitizeCollectionMethod(callback, entryCallback) {
+  return function sanitizedMethod(collection, property, thirdArg) {
+    if (!isEntry(collection, property)) {
+      return callback(collection, property, thirdArg);
+    }
+
+    return entryCallback(collection, property, thirdArg);
+  };
+}
+
+// entries are own properties, starting the lookup from the prototype skips them.
+function getPrototypeProperty(collection, property) {
+  return Reflect.get(Object.getPrototypeOf(collection), property, collection);
+}
+
+function hasPrototypeProperty(collection, property) {
+  return Reflect.has(Object.getPrototypeOf(collection), property);
+}
+
+const getCollectionProperty = sanitizeCollectionMethod(getProperty, getPrototypeProperty);
+const hasCollectionProperty = sanitizeCollectionMethod(hasProperty, hasPrototypeProperty);
+const getCollectionOwnPropertyDescriptor = sanitizeCollectionMethod(
+  getOwnPropertyDescriptor,
+  getInheritedOwnPropertyDescriptor,
+);
+
+function getCollectionOwnKeys(collection) {
+  return Reflect.ownKeys(collection).filter(key => !isEntry(collection, key));
+}
+
+/**
+ * Returns the entry of a collection matching key, never one of its prototype members.
+ *
+ * @param {!HTMLCollection|!RadioNodeList} collection The collection.
+ * @param {!(string|number)} key The index or name of the entry.
+ * @returns {?(Element|RadioNodeList)} The entry, or null if there is none.
+ */
+export function getCollectionItem(collection, key) {
+  // use the prototype's methods in case an expando has been set on the collection itself.
+  const prototype = Object.getPrototypeOf(collection);
+
+  if (isIndiceProperty(key)) {
+    return Reflect.apply(prototype.item, collection, [Number(key)]);
+  }
+
+  return getCollectionNamedItem(collection, key);
+}
+
+/**
+ * Returns the entry of a collection named name, even if the name looks like an index (`<input name="0">`).
+ *
+ * @param {!HTMLCollection|!RadioNodeList} collection The collection.
+ * @param {!string} name The name of the entry.
+ * @returns {?(Element|RadioNodeList)} The entry, or null if there is none.
+ */
+export function getCollectionNamedItem(collection, name) {
+  const prototype = Object.getPrototypeOf(collection);
+
+  if (typeof prototype.namedItem !== 'function') {
+    // RadioNodeList only has indexed entries
+    return null;
+  }
+
+  return Reflect.apply(prototype.namedItem, collection, [String(name)]);
+}
+
+// setting, defining and deleting entries is rejected by the collection itself, these are left untouched.
+// collections are never overridden either.
+export {
+  getCollectionProperty as getProperty,
+  setProperty,
+  hasCollectionProperty as hasProperty,
+  getCollectionOwnPropertyDescriptor as getOwnPropertyDescriptor,
+  defineProperty,
+  deleteProperty,
+  getCollectionOwnKeys as getOwnKeys,
+  explainOverride,
+  findOverrides,
+  getNamedItem,
+  getNamedItems,
+  getOverridingElements,
+};
@@ -1,47 +1,65 @@
-import { freePlaceholder, getPlaceholder } from './placeholders';
-import { hasOwnProperty, isFormElementsCollection, isHtmlImage, isRadioNodeList, makeMethodSanitizer } from './common';
+import { callIntrinsic } from './realm';
+import {
+  assertDetachable,
+  getAttribute,
+  getElementNames,
+  getNamedItemValue,
+  getNamedPropertyValue,
+  hasOwnProperty,
+  isFormElementsCollection,
+  isHtmlImage,
+  isIndiceProperty,
+  isNamedPropertyDescriptor,
+  isRadioNodeList,
+  makeMethodSanitizer,
+  makeNamedItemsGetter,
+  makeOverrideInspector,
+  resolveInherited,
+  withHiddenElements,
+  UNRESOLVED,
+} from './common';
 import { defineProperty, getOwnPropertyDescriptor, getProperty, hasProperty, setProperty, deleteProperty } from './generic-operations';
+import {
+  deleteInheritedProperty,
+  getInheritedOwnPropertyDescriptor,
+  getInheritedProperty,
+  hasInheritedProperty,
+  setInheritedProperty,
+} from './inherited-operations';
+import { getCollectionNamedItem } from './HTMLCollection';
+import { detectCapabilities, hasFormNamedProperties } from './capabilities';
+import { recordStrategy } from './instrumentation';
+import { withOverrideCache } from './override-cache';
 
 /**
  * Deoptimised version of sanitizedMethod that removes ALL inputs before calling the callback.
  * This is needed because removing one input merely shifts the indexes of the other inputs
  */
 function sanitizeIndices(form, property, thirdArg, callback) {
-  const placeholders = [];
-  const evilInputs = [];
-
   // small optimisation: We only need to remove the input
   // and those that will be shifted in its place
   // (e.g. `form[4]` in a form with 5 inputs only removes one)
   const requestedIndex = Number(property);
 
-  const formElements = getFormProperty(form, 'elements');
+  const evilInputs = Array.from(getFormProperty(form, 'elements')).slice(requestedIndex);
+  assertDetachable(evilInputs, property);
+  recordStrategy(form, property, 'indices', evilInputs.length);
 
-  while (formElements.length > requestedIndex) {
-    const evilInput = formElements[requestedIndex];
-    const placeholder = getPlaceholder();
+  return withHiddenElements(evilInputs, () => callback(form, property, thirdArg), 'indices');
+}
 
-    evilInputs.push(evilInput);
-    placeholders.push(placeholder);
+function _isOverridden(form, property) {
 
-    evilInput.replaceWith(placeholder);
+  // named properties are always strings, symbols (e.g. those of the DOM implementation) are never overridden.
+  if (typeof property === 'symbol') {
+    return false;
   }
 
-  const result = callback(form, property, thirdArg);
-
-  for (let i = 0; i < evilInputs.length; i++) {
-    const evilInput = evilInputs[i];
-    const placeholder = placeholders[i];
-
-    placeholder.replaceWith(evilInput);
-    freePlaceholder(placeholder);
+  // engines without named properties on forms (e.g. jsdom) can only be overridden by indices, which all forms have.
+  if (!isIndiceProperty(property) && !hasFormNamedProperties(form)) {
+    return false;
   }
 
-  return result;
-}
-
-function isOverridden(form, property) {
-
   // Special-case: protect vital property
   if (property === 'elements') {
     return !isFormElementsCollection(form.elements);
@@ -50,17 +68,19 @@ function isOverridden(form, property) {
   const formElements = getFormProperty(form, 'elements');
   if (!hasOwnProperty(formElements, property)) {
 
+    const { formImages, formPastNames } = detectCapabilities(form);
+
     // images aren't marked as own properties:
     const value = form[property];
-    if (isFormOwnedImage(form, property, value)) {
+    if (formImages && isFormOwnedImage(form, property, value)) {
       return true;
     }
 
-    if (isFormOwnedImageCollection(form, property, value)) {
+    if (formImages && isFormOwnedImageCollection(form, property, value)) {
       return true;
     }
 
-    return false;
+    return formPastNames && isPastNameOverride(form, property, value);
   }
 
   const propertyValue = form[property];
@@ -72,6 +92,8 @@ function isOverridden(form, property) {
   return propertyValue === formElements.namedItem(property) || propertyValue === formElements.item(property);
 }
 
+const isOverridden = withOverrideCache(_isOverridden);
+
 function isFormOwnedImageCollection(form, key, nodeList) {
   if (!isRadioNodeList(nodeList)) {
     return false;
@@ -86,6 +108,32 @@ function isFormOwnedImageCollection(form, key, nodeList) {
   return true;
 }
 
+function isOwnedBy(form, element) {
+  if (isHtmlImage(element)) {
+    // images have no form attribute, they belong to the form they are in.
+    return callIntrinsic(form, 'Node', 'contains', element);
+  }
+
+  // form controls can be owned from outside of the form. Form-associated custom elements only expose their form owner
+  // through their ElementInternals, but they are listed in form.elements like the other controls.
+  return Array.from(getFormProperty(form, 'elements')).includes(element);
+}
+
+// The form keeps a "past names map": once form[name] has returned an element,
+// it keeps returning it after the element is renamed, as long as the element is owned by the form.
+function isPastNameOverride(form, property, value) {
+  if (value == null || !isOwnedBy(form, value)) {
+    return false;
+  }
+
+  if (!isNamedPropertyDescriptor(Reflect.getOwnPropertyDescriptor(form, property))) {
+    return false;
+  }
+
+  // some built-ins legitimately return an element of the form (e.g. firstElementChild).
+  return value !== getInheritedProperty(form, property);
+}
+
 function isFormOwnedImage(form, key, value) {
 
   if (value == null) {
@@ -101,25 +149,26 @@ function isFormOwnedImage(form, key, value) {
   }
 
   // Use prototype in case .contains has been overridden by an input
-  if (!HTMLFormElement.prototype.contains.call(form, value)) {
+  if (!callIntrinsic(form, 'Node', 'contains', value)) {
     return false;
   }
 
   return true;
 }
 
-function isIndiceProperty(property) {
-  return /^\d+$/.test(property);
-}
-
 const _sanitizeFormMethod = makeMethodSanitizer(isOverridden);
 
-function sanitizeFormMethod(callback) {
-  const sanitized = _sanitizeFormMethod(callback);
+function sanitizeFormMethod(callback, inheritedCallback) {
+  const sanitized = _sanitizeFormMethod(callback, inheritedCallback);
 
   return function sanitizedMethod(form, property, thirdArg) {
     // getting numeric property (form[0])
     if (isIndiceProperty(property)) {
+      const inheritedResult = resolveInherited(inheritedCallback, form, property, thirdArg);
+      if (inheritedResult !== UNRESOLVED) {
+        return inheritedResult;
+      }
+
       // delegate to a less optimised version that removes all inputs.
       return sanitizeIndices(form, property, thirdArg, callback);
     }
@@ -128,20 +177,85 @@ function sanitizeFormMethod(callback) {
   };
 }
 
-const getFormProperty = sanitizeFormMethod(getProperty);
-const setFormProperty = sanitizeFormMethod(setProperty);
-const hasFormProperty = sanitizeFormMethod(hasProperty);
-const getFormOwnPropertyDescriptor = sanitizeFormMethod(getOwnPropertyDescriptor);
+const getFormProperty = sanitizeFormMethod(getProperty, getInheritedProperty);
+const setFormProperty = sanitizeFormMethod(setProperty, setInheritedProperty);
+const hasFormProperty = sanitizeFormMethod(hasProperty, hasInheritedProperty);
+const getFormOwnPropertyDescriptor = sanitizeFormMethod(getOwnPropertyDescriptor, getInheritedOwnPropertyDescriptor);
 const defineFormProperty = sanitizeFormMethod(defineProperty);
-const deleteFormProperty = sanitizeFormMethod(deleteProperty);
+const deleteFormProperty = sanitizeFormMethod(deleteProperty, deleteInheritedProperty);
 
-function getFormOwnKeys(form) {
-  // use sanitizeIndices to remove all inputs in one go then get own keys
-  return sanitizeIndices(form, 0, void 0, _getFormOwnKeysCallback);
+function getFormNamedPropertyNames(form) {
+  const names = [];
+  const formImages = callIntrinsic(form, 'Element', 'getElementsByTagName', 'img');
+  const candidates = Array.from(getFormProperty(form, 'elements')).concat(Array.from(formImages));
+
+  candidates.forEach(element => {
+    names.push(...getElementNames(element));
+  });
+
+  if (!detectCapabilities(form).formPastNames) {
+    return names;
+  }
+
+  // the past names of renamed elements are only known to the form, which lists them as own properties.
+  Reflect.ownKeys(form).forEach(key => {
+    if (typeof key === 'string' && !isIndiceProperty(key)) {
+      names.push(key);
+    }
+  });
+
+  return names;
+}
+
+function getOverrideRule(form, key, element) {
+  let attribute;
+  if (getAttribute(element, 'name') === key) {
+    attribute = 'name';
+  } else if (getAttribute(element, 'id') === key) {
+    attribute = 'id';
+  } else {
+    return 'form-past-name';
+  }
+
+  if (isHtmlImage(element)) {
+    return `form-image-${attribute}`;
+  }
+
+  return `form-control-${attribute}`;
 }
 
-function _getFormOwnKeysCallback(form) {
-  return Reflect.ownKeys(form);
+const {
+  explainOverride,
+  findOverrides,
+  getOverridingElements,
+} = makeOverrideInspector(isOverridden, getOverrideRule, getFormNamedPropertyNames);
+
+function getFormNamedItem(form, name) {
+  if (typeof name !== 'string' || name === '') {
+    return null;
+  }
+
+  // form[0] is the indexed getter, the named getter can only be reached by names that do not look like indices.
+  if (!isIndiceProperty(name) && _isOverridden(form, name)) {
+    return getNamedPropertyValue(form[name]);
+  }
+
+  // the named property is shadowed by the indexed getter or an expando, or not implemented: apply the rules
+  // (past names are lost).
+  const control = getCollectionNamedItem(getFormProperty(form, 'elements'), name);
+  if (control !== null) {
+    return getNamedPropertyValue(control);
+  }
+
+  const formImages = callIntrinsic(form, 'Element', 'getElementsByTagName', 'img');
+
+  return getNamedItemValue(Array.from(formImages).filter(image => getElementNames(image).includes(name)));
+}
+
+const getFormNamedItems = makeNamedItemsGetter(getFormNamedItem, getFormNamedPropertyNames);
+
+function getFormOwnKeys(form) {
+  return Reflect.ownKeys(form).filter(key => !isOverridden(form, key));
 }
 
 export {
@@ -152,4 +266,9 @@ export {
   defineFormProperty as defineProperty,
   deleteFormProperty as deleteProperty,
   getFormOwnKeys as getOwnKeys,
+  explainOverride,
+  findOverrides,
+  getFormNamedItem as getNamedItem,
+  getFormNamedItems as getNamedItems,
+  getOverridingElements,
 };
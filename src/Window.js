@@ -0,0 +1,196 @@
+import {
+  getAttribute,
+  getConstructorName,
+  getElementNames,
+  getNamedItemValue,
+  getNamedPropertyValue,
+  hasOwnProperty, isElement, isHtmlCollection, isHtmlForm, isIframeWindow, isRoot,
+  makeMethodSanitizer, makeNamedItemsGetter, makeOverrideInspector, resolveInherited, sanitizeSingle, UNRESOLVED,
+} from './common';
+import {
+  defineProperty,
+  deleteProperty,
+  getOwnPropertyDescriptor,
+  getProperty,
+  hasProperty,
+  setProperty,
+} from './generic-operations';
+import { callIntrinsic, getIntrinsicProperty } from './realm';
+import {
+  deleteInheritedProperty,
+  getInheritedOwnPropertyDescriptor,
+  getInheritedProperty,
+  hasInheritedProperty,
+  setInheritedProperty,
+} from './inherited-operations';
+import { getProperty as safeGetProperty } from './index';
+
+const NAMED_BY_NAME = ['HTMLEmbedElement', 'HTMLImageElement', 'HTMLObjectElement'];
+
+function isOverridden(win, property) {
+
+  // Named properties are not own properties of the window, they live on the "named properties object"
+  // which sits between Window.prototype and EventTarget.prototype.
+  // Own properties (globals) and members of Window.prototype therefore take precedence over them.
+  if (hasOwnProperty(win, property) || hasOwnProperty(Object.getPrototypeOf(win), property)) {
+    return false;
+  }
+
+  /*
+  - Child browsing contexts        => iframe name (gives the iframe's window)
+  - embed, form, img, object       => name attribute
+  - any element                    => id attribute
+   */
+
+  const value = win[property];
+  const document = win.document;
+
+  if (isHtmlCollection(value)) {
+    return true;
+  }
+
+  if (isIframeWindow(value)) {
+    return isNamedIframeOverride(win, property, value.frameElement);
+  }
+
+  if (!isElement(value) || !isRoot(document, value)) {
+    return false;
+  }
+
+  if (safeGetProperty(value, 'id') === property) {
+    return true;
+  }
+
+  if (isHtmlForm(value) || NAMED_BY_NAME.includes(getConstructorName(value))) {
+    return safeGetProperty(value, 'name') === property;
+  }
+
+  return false;
+}
+
+function isNamedIframeOverride(win, property, iframe) {
+  return iframe.name === property && isRoot(win.document, iframe);
+}
+
+const _sanitizeWindowMethod = makeMethodSanitizer(isOverridden);
+
+function sanitizeWindowMethod(callback, inheritedCallback) {
+  const sanitized = _sanitizeWindowMethod(callback, inheritedCallback);
+
+  return function sanitizedMethod(win, property, thirdArg) {
+    // SPECIAL CASE: named iframes give their window object, the element to remove is the iframe itself.
+    const value = win[property];
+    if (isIframeWindow(value)) {
+      if (!isOverridden(win, property)) {
+        return callback(win, property, thirdArg);
+      }
+
+      const inheritedResult = resolveInherited(inheritedCallback, win, property, thirdArg);
+      if (inheritedResult !== UNRESOLVED) {
+        return inheritedResult;
+      }
+
+      return sanitizeSingle(sanitizedMethod, value.frameElement, win, property, thirdArg);
+    }
+
+    return sanitized(win, property, thirdArg);
+  };
+}
+
+const getWindowProperty = sanitizeWindowMethod(getProperty, getInheritedProperty);
+const setWindowProperty = sanitizeWindowMethod(setProperty, setInheritedProperty);
+const hasWindowProperty = sanitizeWindowMethod(hasProperty, hasInheritedProperty);
+const getWindowOwnPropertyDescriptor = sanitizeWindowMethod(
+  getOwnPropertyDescriptor,
+  getInheritedOwnPropertyDescriptor,
+);
+const defineWindowProperty = sanitizeWindowMethod(defineProperty);
+const deleteWindowProperty = sanitizeWindowMethod(deleteProperty, deleteInheritedProperty);
+
+function getWindowOwnKeys(win) {
+  // named properties are never own properties of the window.
+  return Reflect.ownKeys(win);
+}
+
+// every element that can be accessed by name or id on the window.
+const NAMED_ELEMENTS_SELECTOR = '[id], embed[name], form[name], iframe[name], img[name], object[name]';
+
+function getWindowNamedPropertyNames(win) {
+  const names = [];
+  const namedElements = callIntrinsic(win.document, 'Document', 'querySelectorAll', NAMED_ELEMENTS_SELECTOR);
+
+  Array.from(namedElements).forEach(element => {
+    names.push(...getElementNames(element));
+  });
+
+  return names;
+}
+
+function getOverrideRule(win, key, element) {
+  if (getAttribute(element, 'name') === key) {
+    if (getConstructorName(element) === 'HTMLIFrameElement') {
+      return 'window-child-browsing-context';
+    }
+
+    if (isHtmlForm(element) || NAMED_BY_NAME.includes(getConstructorName(element))) {
+      return 'window-exposed-name';
+    }
+  }
+
+  return 'window-element-id';
+}
+
+const {
+  explainOverride,
+  findOverrides,
+  getOverridingElements,
+} = makeOverrideInspector(isOverridden, getOverrideRule, getWindowNamedPropertyNames);
+
+function getNamedElements(win, name) {
+  const namedElements = callIntrinsic(win.document, 'Document', 'querySelectorAll', NAMED_ELEMENTS_SELECTOR);
+
+  // getOverrideRule falls back to the id rule for elements that are not exposed by name.
+  return Array.from(namedElements).filter(element => getAttribute(element, 'id') === name
+    || getOverrideRule(win, name, element) !== 'window-element-id');
+}
+
+function getWindowNamedItem(win, name) {
+  if (typeof name !== 'string' || name === '') {
+    return null;
+  }
+
+  if (isOverridden(win, name)) {
+    return getNamedPropertyValue(win[name]);
+  }
+
+  // the named property is shadowed by a global or a member of Window.prototype (e.g. <iframe name="location">).
+  const elements = getNamedElements(win, name);
+
+  // child browsing contexts take precedence over the elements.
+  const childWindow = elements
+    .filter(element => getOverrideRule(win, name, element) === 'window-child-browsing-context')
+    .map(iframe => getIntrinsicProperty(iframe, 'HTMLIFrameElement', 'contentWindow'))
+    .find(Boolean);
+  if (childWindow) {
+    return childWindow;
+  }
+
+  return getNamedItemValue(elements);
+}
+
+const getWindowNamedItems = makeNamedItemsGetter(getWindowNamedItem, getWindowNamedPropertyNames);
+
+export {
+  getWindowProperty as getProperty,
+  setWindowProperty as setProperty,
+  hasWindowProperty as hasProperty,
+  getWindowOwnPropertyDescriptor as getOwnPropertyDescriptor,
+  defineWindowProperty as defineProperty,
+  deleteWindowProperty as deleteProperty,
+  getWindowOwnKeys as getOwnKeys,
+  explainOverride,
+  findOverrides,
+  getWindowNamedItem as getNamedItem,
+  getWindowNamedItems as getNamedItems,
+  getOverridingElements,
+};
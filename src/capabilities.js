@@ -0,0 +1,174 @@
+import { getIntrinsicProperty, getOwnerDocument } from './realm';
+
+/*
+ * Engines differ on which elements are exposed as named properties (e.g. older ones ignore form images or object ids),
+ * and DOM implementations implement them partially (happy-dom only exposes form controls), if at all (jsdom).
+ * Each engine is probed once, with a document of its own that is never attached to a window, so that the sanitizers
+ * only look for the overrides it can actually produce.
+ * Engines that cannot create such a document (linkedom has no document.implementation) are assumed to follow the spec.
+ * The named properties of windows cannot be probed (the probe document has no window): Window.js only relies on
+ * getRootNode, through isRoot.
+ */
+
+// prototype of a document => its capabilities. Documents of other realms or DOM implementations are probed separately.
+const capabilities = new WeakMap();
+
+// what the rules of Document.js and HTMLFormElement.js expect, used when the engine cannot be probed.
+export const SPEC_CAPABILITIES = Object.freeze({
+  formControls: true,
+  formImages: true,
+  formPastNames: true,
+  documentEmbeds: true,
+  documentForms: true,
+  documentIframes: true,
+  documentImages: true,
+  documentImageIds: true,
+  documentObjects: true,
+  documentObjectIds: true,
+  getRootNode: true,
+});
+
+// an element of each kind, named "probe", is the first child of the body of the probe document.
+const PROBES = {
+  formControls: {
+    html: '<form><input name="probe"></form>',
+    check: form => form.probe === form.firstChild,
+  },
+  formImages: {
+    html: '<form><img name="probe"></form>',
+    check: form => form.probe === form.firstChild,
+  },
+  formPastNames: {
+    html: '<form><input name="probe"></form>',
+    check: form => {
+      const input = form.firstChild;
+      if (form.probe !== input) {
+        return false;
+      }
+
+      input.setAttribute('name', 'renamed');
+
+      return form.probe === input;
+    },
+  },
+  documentEmbeds: {
+    html: '<embed name="probe">',
+    check: (embed, document) => document.probe === embed,
+  },
+  documentForms: {
+    html: '<form name="probe"></form>',
+    check: (form, document) => document.probe === form,
+  },
+  documentIframes: {
+    html: '<iframe name="probe"></iframe>',
+    check: (iframe, document) => {
+      // the iframe has no window in a document without one, the named property is then the element itself.
+      const value = document.probe;
+
+      return value === iframe || (value != null && value === iframe.contentWindow);
+    },
+  },
+  documentImages: {
+    html: '<img name="probe">',
+    check: (image, document) => document.probe === image,
+  },
+  documentImageIds: {
+    html: '<img name="other" id="probe">',
+    check: (image, document) => document.probe === image,
+  },
+  documentObjects: {
+    html: '<object name="probe"></object>',
+    check: (object, document) => document.probe === object,
+  },
+  documentObjectIds: {
+    html: '<object id="probe"></object>',
+    check: (object, document) => document.probe === object,
+  },
+};
+
+function createProbeDocument(ownerDocument) {
+  // document.implementation can be overridden by a named element.
+  const implementation = getIntrinsicProperty(ownerDocument, 'Document', 'implementation');
+
+  return implementation.createHTMLDocument('');
+}
+
+function runProbe(probeDocument, { html, check }) {
+  try {
+    probeDocument.body.innerHTML = html;
+
+    return Boolean(check(probeDocument.body.firstChild, probeDocument));
+  } catch (e) {
+    return false;
+  }
+}
+
+function probeNamedProperties(ownerDocument) {
+  let probeDocument;
+  try {
+    probeDocument = createProbeDocument(ownerDocument);
+  } catch (e) {
+    return SPEC_CAPABILITIES;
+  }
+
+  if (!probeDocument || !probeDocument.body) {
+    return SPEC_CAPABILITIES;
+  }
+
+  const result = {};
+  Object.keys(PROBES).forEach(name => {
+    result[name] = runProbe(probeDocument, PROBES[name]);
+  });
+
+  return result;
+}
+
+function probe(ownerDocument) {
+  // getRootNode does not need a probe document, it is detected even when the named properties cannot be probed.
+  const getRootNode = typeof getIntrinsicProperty(ownerDocument, 'Node', 'getRootNode') === 'function';
+
+  return Object.freeze(Object.assign({}, probeNamedProperties(ownerDocument), { getRootNode }));
+}
+
+/**
+ * Returns which elements the engine of node exposes as named properties. The engine is probed on first use.
+ *
+ * @param {!Node} node A node (or document) of the engine. Defaults to the current document, if there is one.
+ * @returns {!Object<string, boolean>} formControls, formImages and formPastNames for the named properties of forms,
+ *  documentEmbeds, documentForms, documentIframes, documentImages, documentImageIds, documentObjects and
+ *  documentObjectIds for those of documents, and getRootNode for the availability of Node#getRootNode.
+ */
+export function detectCapabilities(node = typeof document === 'undefined' ? void 0 : document) {
+  if (node == null) {
+    throw new TypeError('[dom-unoverride] Expected a node, there is no current document to default to.');
+  }
+
+  const ownerDocument = getOwnerDocument(node);
+  const key = Object.getPrototypeOf(ownerDocument);
+
+  let result = capabilities.get(key);
+  if (!result) {
+    result = probe(ownerDocument);
+    capabilities.set(key, result);
+  }
+
+  return result;
+}
+
+export function hasFormNamedProperties(node) {
+  const { formControls, formImages } = detectCapabilities(node);
+
+  return formControls || formImages;
+}
+
+export function hasDocumentNamedProperties(node) {
+  const result = detectCapabilities(node);
+
+  return result.documentEmbeds
+    || result.documentForms
+    || result.documentIframes
+    || result.documentImages
+    || result.documentImageIds
+    || result.documentObjects
+    || result.documentObjectIds;
+}
@@ -1,16 +1,86 @@
-import { freePlaceholder, getPlaceholder } from './placeholders';
+import { freePlaceholder, getPlaceholder, notifySwap } from './placeholders';
+import { beginSwap, endSwap, pauseSwap, recordStrategy, resumeSwap } from './instrumentation';
+import { detectCapabilities } from './capabilities';
+import { getPastNames, restorePastNames } from './past-names';
+import {
+  callIntrinsic,
+  getIntrinsicProperty,
+  getMutationObserver,
+  getOwnerDocument,
+  implementsInterface,
+} from './realm';
+import { getProperty as safeGetProperty } from './index';
+
+// returned by operations that cannot be performed without removing the overriding elements from the DOM.
+export const UNRESOLVED = {};
+
+export const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/*
+ * Named properties only override the built-ins of forms, documents, windows and datasets:
+ * the properties of other elements, such as form controls (control.form, control.type, ...), are safe to read.
+ */
 
 export function isHtmlImage(item) {
-  return getConstructorName(item) === 'HTMLImageElement';
+  return implementsInterface(item, 'HTMLImageElement');
 }
 
 export function isHtmlForm(item) {
   // we can't use .constructor because it could have been overridden. Instead we need to stringify.
-  return String(item) === '[object HTMLFormElement]';
+  return getToStringTag(item) === '[object HTMLFormElement]';
+}
+
+export function assertForm(form) {
+  if (!isHtmlForm(form)) {
+    throw new TypeError(`[dom-unoverride] Expected an HTMLFormElement, got ${Object.prototype.toString.call(form)}`);
+  }
 }
 
 export function isDocument(item) {
-  return String(item) === '[object HTMLDocument]';
+  // documents created by DOMParser, document.implementation or for template contents are not always HTMLDocuments,
+  // and some DOM implementations (linkedom) do not tag them at all.
+  return implementsInterface(item, 'Document');
+}
+
+export function isWindow(item) {
+  // happy-dom windows are tagged as EventTargets
+  return getToStringTag(item) === '[object Window]' || getConstructorName(item) === 'Window';
+}
+
+export function isIframeWindow(object) {
+  return isWindow(object) && object.frameElement;
+}
+
+export function isElement(item) {
+  return /^\[object \w*Element]$/.test(getToStringTag(item));
+}
+
+function getCustomElementRegistry(element) {
+  // documents without a window (DOMParser, template contents, ...) have no registry: their elements are never upgraded.
+  const view = getIntrinsicProperty(getOwnerDocument(element), 'Document', 'defaultView');
+
+  return view && view.customElements || null;
+}
+
+export function isCustomElement(element) {
+  const registry = getCustomElementRegistry(element);
+  if (!registry) {
+    return false;
+  }
+
+  // autonomous (<x-field>) or customized built-in (<input is="x-field">) element, once upgraded.
+  const name = getAttribute(element, 'is') || getIntrinsicProperty(element, 'Element', 'localName');
+  const definition = registry.get(name);
+
+  return definition !== void 0 && element instanceof definition;
+}
+
+export function hasCustomElements(element) {
+  if (isCustomElement(element)) {
+    return true;
+  }
+
+  return Array.from(callIntrinsic(element, 'Element', 'getElementsByTagName', '*')).some(isCustomElement);
 }
 
 export function isRadioNodeList(item) {
@@ -25,53 +95,350 @@ export function isFormElementsCollection(item) {
   return getConstructorName(item) === 'HTMLFormControlsCollection';
 }
 
+export function isCollection(item) {
+  return isHtmlCollection(item)
+    || isFormElementsCollection(item)
+    || isRadioNodeList(item)
+    || getConstructorName(item) === 'HTMLOptionsCollection';
+}
+
+export function isDataset(item) {
+  return implementsInterface(item, 'DOMStringMap');
+}
+
+export function isIndiceProperty(property) {
+  // symbols cannot be converted to strings implicitly
+  return typeof property !== 'symbol' && /^\d+$/.test(property);
+}
+
 export function getConstructorName(item) {
   return item && item.constructor && item.constructor.name || null;
 }
 
+export function getToStringTag(item) {
+  // item.toString can be overridden too (<input name="toString">), use the one from Object.prototype.
+  return Object.prototype.toString.call(item);
+}
+
 export function hasOwnProperty(obj, val) {
   return Object.prototype.hasOwnProperty.call(obj, val);
 }
 
+// named properties are read-only data properties, unlike expandos (form.myInput = input).
+export function isNamedPropertyDescriptor(descriptor) {
+  return descriptor !== void 0 && hasOwnProperty(descriptor, 'value') && descriptor.writable === false;
+}
+
+export function getBuiltInsPrototype(node) {
+  const prototype = Object.getPrototypeOf(node);
+
+  if (isWindow(node)) {
+    // skip the named properties object, located right after Window.prototype.
+    // Window.prototype itself is skipped too, but its members are never overridden.
+    return Object.getPrototypeOf(Object.getPrototypeOf(prototype));
+  }
+
+  return prototype;
+}
+
+export function isBuiltIn(node, property) {
+  return Reflect.has(getBuiltInsPrototype(node), property);
+}
+
+/**
+ * Creates the functions describing which elements override which built-ins of a type of node.
+ *
+ * @param {!function(Object, string): boolean} isOverridden The override detection of the node's sanitizer.
+ * @param {!function(Object, string, Element): string} getOverrideRule Returns the rule by which an element
+ *  overrides a property.
+ * @param {!function(Object): !Array<string>} getNamedPropertyNames Returns the names that could be overriding
+ *  a built-in of the node.
+ * @returns {{ explainOverride: Function, findOverrides: Function, getOverridingElements: Function }} The functions.
+ */
+export function makeOverrideInspector(isOverridden, getOverrideRule, getNamedPropertyNames) {
+
+  function explainOverride(node, key) {
+    if (typeof key !== 'string' || !isBuiltIn(node, key) || !isOverridden(node, key)) {
+      return null;
+    }
+
+    const matches = getValueElements(node[key]).map(element => {
+      return { element, rule: getOverrideRule(node, key, element) };
+    });
+
+    return { key, matches };
+  }
+
+  function findOverrides(node) {
+    const names = Array.from(new Set(getNamedPropertyNames(node)));
+
+    return names.map(name => explainOverride(node, name)).filter(Boolean);
+  }
+
+  function getOverridingElements(node) {
+    const elements = new Set();
+
+    findOverrides(node).forEach(override => {
+      override.matches.forEach(match => elements.add(match.element));
+    });
+
+    return Array.from(elements);
+  }
+
+  return { explainOverride, findOverrides, getOverridingElements };
+}
+
+export function getAttribute(element, name) {
+  return callIntrinsic(element, 'Element', 'getAttribute', name);
+}
+
+export function getElementNames(element) {
+  return [getAttribute(element, 'name'), getAttribute(element, 'id')].filter(Boolean);
+}
+
+export function getRootNode(node) {
+  if (!detectCapabilities(node).getRootNode) {
+    return null;
+  }
+
+  return callIntrinsic(node, 'Node', 'getRootNode');
+}
+
+// attributes that decide whether an element is accessible by name, and which form owns it
+// (<input type="image"> are not listed in form.elements).
+const NAMED_ELEMENT_ATTRIBUTES = ['name', 'id', 'form', 'type'];
+
+/**
+ * Calls callback with the mutations that can change the named properties of root.
+ *
+ * @param {!(HTMLFormElement|Document|Window)} root The node whose named properties are observed.
+ * @param {!function(Array<MutationRecord>)} callback The MutationObserver callback.
+ * @returns {!MutationObserver} The observer, observing.
+ */
+export function observeNamedElements(root, callback) {
+  // elements owned by a form can be located outside of it (form="<id>"), observe the whole tree.
+  const observedNode = isWindow(root) ? root.document : getRootNode(root) || root;
+  const NodeMutationObserver = getMutationObserver(observedNode);
+
+  const observer = new NodeMutationObserver(callback);
+  observer.observe(observedNode, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: NAMED_ELEMENT_ATTRIBUTES,
+  });
+
+  return observer;
+}
+
+export function isRoot(document, node) {
+  const root = getRootNode(node);
+  if (root) {
+    return root === document;
+  }
+
+  return safeGetProperty(node, 'ownerDocument') === document;
+}
+
 function replaceWith(oldNode, newNode) {
-  HTMLElement.prototype.replaceWith.call(oldNode, newNode);
+  callIntrinsic(oldNode, 'Element', 'replaceWith', newNode);
 }
 
 // =========
 
-function sanitizeCollection(form, property, thirdArg, callback) {
-  const evilInputsLive = form[property];
-  const evilInputsInert = [];
-  const placeholders = [];
+export function hideElements(elements) {
+  notifySwap('before', elements);
+
+  // detaching the elements drops them from the past names maps of their forms, restoreElements adds them back.
+  const hidden = { placeholders: [], pastNames: getPastNames(elements) };
+  try {
+    elements.forEach(element => {
+      const placeholder = getPlaceholder(element);
+      replaceWith(element, placeholder);
+      hidden.placeholders.push(placeholder);
+    });
+  } catch (e) {
+    // put back the elements hidden so far.
+    const hiddenElements = elements.slice(0, hidden.placeholders.length);
+    restoreElements(hiddenElements, {
+      placeholders: hidden.placeholders,
+      pastNames: hidden.pastNames.filter(entry => hiddenElements.includes(entry.element)),
+    });
+    throw e;
+  }
+
+  return hidden;
+}
+
+export function restoreElements(elements, { placeholders, pastNames }) {
+  // every element is put back even if one of them cannot be, the first error is rethrown afterwards.
+  let error = null;
+  for (let i = elements.length - 1; i >= 0; i--) {
+    try {
+      replaceWith(placeholders[i], elements[i]);
+      freePlaceholder(placeholders[i]);
+    } catch (e) {
+      error = error || e;
+    }
+  }
 
-  for (let i = evilInputsLive.length - 1; i >= 0; i--) {
-    const evilInput = evilInputsLive[i];
-    const placeholder = getPlaceholder();
+  try {
+    restorePastNames(pastNames);
+  } catch (e) {
+    error = error || e;
+  }
 
-    placeholders.push(placeholder);
-    evilInputsInert.push(evilInput);
+  notifySwap('after', elements);
 
-    replaceWith(evilInput, placeholder);
+  if (error) {
+    throw error;
   }
+}
 
-  const result = callback(form, property, thirdArg);
+/**
+ * Hides elements while callback runs, and restores them afterwards even if it throws.
+ *
+ * Calls made while the elements are hidden (by callback, setters or swap hooks) see the node without them.
+ * They can hide other elements in turn: nested swaps are restored before the ones they are nested in.
+ *
+ * @param {!Array<Element>} elements The elements to hide.
+ * @param {!function(): T} callback The function to call while they are hidden.
+ * @param {!string} strategy Why the elements are hidden ('single', 'collection', 'indices' or 'scoped'), for the
+ *  instrumentation.
+ * @returns {T} The result of callback.
+ * @template T
+ */
+export function withHiddenElements(elements, callback, strategy) {
+  const swap = beginSwap(strategy, elements);
+  const hidden = hideElements(elements);
+  pauseSwap(swap);
 
-  for (let i = evilInputsInert.length - 1; i >= 0; i--) {
-    replaceWith(placeholders[i], evilInputsInert[i]);
-    freePlaceholder(placeholders[i]);
+  try {
+    return callback();
+  } finally {
+    resumeSwap(swap);
+    restoreElements(elements, hidden);
+    endSwap(swap);
+  }
+}
+
+/**
+ * Returns what a named property getter yields for the elements a name refers to.
+ *
+ * @param {!Array<Element>} elements The elements, in tree order.
+ * @returns {?(Element|Array<Element>)} null if there are none, the element if there is one.
+ *  Several elements are returned as an array, where the getter would return a live collection.
+ */
+export function getNamedItemValue(elements) {
+  if (elements.length === 0) {
+    return null;
+  }
+
+  return elements.length === 1 ? elements[0] : elements;
+}
+
+/**
+ * Returns the value of a named property read from the node in the same form as getNamedItemValue,
+ * so that named items do not change type depending on whether they are shadowed.
+ *
+ * @param {*} value The value of the named property.
+ * @returns {*} The value, or the elements of the live collection it is, as an array.
+ */
+export function getNamedPropertyValue(value) {
+  return isCollection(value) ? Array.from(value) : value;
+}
+
+/**
+ * Creates the function listing the named items of a type of node.
+ *
+ * @param {!function(Object, string): ?*} getNamedItem Returns the named item of the node matching a name.
+ * @param {!function(Object): !Array<string>} getNamedPropertyNames Returns the names that could be named items.
+ * @returns {!function(Object): !Map<string, *>} The function.
+ */
+export function makeNamedItemsGetter(getNamedItem, getNamedPropertyNames) {
+  return function getNamedItems(node) {
+    const namedItems = new Map();
+
+    getNamedPropertyNames(node).forEach(name => {
+      if (namedItems.has(name)) {
+        return;
+      }
+
+      const namedItem = getNamedItem(node, name);
+      if (namedItem !== null) {
+        namedItems.set(name, namedItem);
+      }
+    });
+
+    return namedItems;
+  };
+}
+
+/**
+ * Returns the elements responsible for the value of a named property.
+ *
+ * @param {!(Element|HTMLCollection|RadioNodeList|Window)} value The value of the named property.
+ * @returns {!Array<Element>} The elements.
+ */
+export function getValueElements(value) {
+  if (isIframeWindow(value)) {
+    return [value.frameElement];
+  }
+
+  if (isHtmlCollection(value) || isRadioNodeList(value)) {
+    return Array.from(value);
+  }
+
+  return [value];
+}
+
+// Moving a custom element runs its disconnectedCallback and connectedCallback (and formAssociatedCallback if it is
+// form-associated), which can reset its state or call back into this library. Elements that are or contain custom
+// elements are never detached: the operations that cannot be resolved without doing so fail instead.
+export function assertDetachable(elements, property) {
+  if (elements.some(hasCustomElements)) {
+    throw new TypeError(
+      `[dom-unoverride] ${String(property)} cannot be resolved without detaching a custom element.`,
+    );
+  }
+}
+
+function sanitizeCollection(form, property, thirdArg, callback) {
+  // copy the live collection as it is emptied when hiding its elements.
+  const evilInputs = Array.from(form[property]);
+  recordStrategy(form, property, 'collection', evilInputs.length);
+
+  return withHiddenElements(evilInputs, () => callback(form, property, thirdArg), 'collection');
+}
+
+export function resolveInherited(inheritedCallback, node, property, thirdArg) {
+  if (!inheritedCallback) {
+    return UNRESOLVED;
+  }
+
+  const result = inheritedCallback(node, property, thirdArg);
+  if (result !== UNRESOLVED) {
+    recordStrategy(node, property, 'inherited', 0);
   }
 
   return result;
 }
 
 export function makeMethodSanitizer(isOverridden) {
-  return function sanitizeMethod(callback) {
+  return function sanitizeMethod(callback, inheritedCallback) {
     return function sanitizedMethod(form, property, thirdArg) {
       if (!isOverridden(form, property)) {
         return callback(form, property, thirdArg);
       }
 
+      // Resolving the built-in from the prototype chain doesn't touch the DOM, use it when possible.
+      const inheritedResult = resolveInherited(inheritedCallback, form, property, thirdArg);
+      if (inheritedResult !== UNRESOLVED) {
+        return inheritedResult;
+      }
+
       const evilInput = form[property];
+      assertDetachable(getValueElements(evilInput), property);
 
       // When two inputs have the same name
       if (isHtmlCollection(evilInput) || isRadioNodeList(evilInput)) {
@@ -85,16 +452,10 @@ export function makeMethodSanitizer(isOverridden) {
 }
 
 export function sanitizeSingle(sanitizedMethod, evilInput, form, property, thirdArg) {
-  const placeholder = getPlaceholder();
-  replaceWith(evilInput, placeholder);
-
   // call self recursively because the property will return
   // - a form-owned input if it exists
   // - a form-owned image if it exists and the input doesn't exist
-  const result = sanitizedMethod(form, property, thirdArg);
-
-  replaceWith(placeholder, evilInput);
-  freePlaceholder(placeholder);
+  recordStrategy(form, property, 'single', 1);
 
-  return result;
+  return withHiddenElements([evilInput], () => sanitizedMethod(form, property, thirdArg), 'single');
 }
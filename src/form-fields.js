@@ -0,0 +1,195 @@
+import { getProperty as getFormProperty } from './HTMLFormElement';
+import { getCollectionNamedItem } from './HTMLCollection';
+import { implementsInterface } from './realm';
+import { assertForm, getAttribute } from './common';
+
+/*
+ * Fields are looked up in form.elements using namedItem, like the sanitizer does, so inputs named `elements`,
+ * `length` or `namedItem` cannot get in the way. Images owned by the form are exposed on it, but are not fields.
+ *
+ * Values:
+ * - checkboxes and radios: their value if checked, null otherwise.
+ * - radio groups: the value of the checked radio, null if none is.
+ * - other groups (checkboxes, inputs sharing the same name, ...): the values of their elements, in tree order.
+ *   Unchecked checkboxes and radios are skipped.
+ * - multiple selects: the values of the selected options.
+ * - file inputs: the selected files.
+ * - elements without a value (fieldsets, objects): null.
+ */
+
+function isCheckable(element) {
+  return element.type === 'checkbox' || element.type === 'radio';
+}
+
+function isMultipleSelect(element) {
+  return element.type === 'select-multiple';
+}
+
+function isFileInput(element) {
+  return element.type === 'file';
+}
+
+function getField(form, name) {
+  // fields named "0" are not elements[0]: names are never read as indices (unlike getCollectionItem).
+  const field = getCollectionNamedItem(getFormProperty(form, 'elements'), name);
+  if (field === null) {
+    return null;
+  }
+
+  // RadioNodeList, or a plain NodeList in some DOM implementations (happy-dom).
+  return implementsInterface(field, 'Element') ? [field] : Array.from(field);
+}
+
+function getElementValue(element) {
+  if (isCheckable(element)) {
+    return element.checked ? element.value : null;
+  }
+
+  if (isMultipleSelect(element)) {
+    return Array.from(element.options)
+      .filter(option => option.selected)
+      .map(option => option.value);
+  }
+
+  if (isFileInput(element)) {
+    return Array.from(element.files);
+  }
+
+  if (!Reflect.has(element, 'value')) {
+    return null;
+  }
+
+  return element.value;
+}
+
+function toValueList(value) {
+  if (value == null) {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  return [String(value)];
+}
+
+function setElementValue(element, value) {
+  if (isCheckable(element)) {
+    element.checked = toValueList(value).includes(element.value);
+
+    return;
+  }
+
+  if (isMultipleSelect(element)) {
+    const values = toValueList(value);
+    Array.from(element.options).forEach(option => {
+      option.selected = values.includes(option.value);
+    });
+
+    return;
+  }
+
+  if (isFileInput(element)) {
+    // files can only be selected by the user (or copied from another FileList), they can be cleared however.
+    if (toValueList(value).length > 0) {
+      throw new TypeError('[dom-unoverride] The value of file inputs can only be cleared.');
+    }
+
+    element.value = '';
+
+    return;
+  }
+
+  element.value = value == null ? '' : value;
+}
+
+/**
+ * Returns the value of the field(s) of form named name.
+ *
+ * @param {!HTMLFormElement} form The form.
+ * @param {!string} name The name (or id) of the field.
+ * @returns {?(string|Array<string>|Array<File>)} The value of the field, null if it has none or does not exist.
+ */
+export function getFieldValue(form, name) {
+  assertForm(form);
+
+  const elements = getField(form, name);
+  if (elements === null) {
+    return null;
+  }
+
+  if (elements.length === 1) {
+    return getElementValue(elements[0]);
+  }
+
+  const values = elements.map(getElementValue).filter(value => value !== null);
+
+  if (elements.every(element => element.type === 'radio')) {
+    return values.length > 0 ? values[0] : null;
+  }
+
+  // flatten the values of multiple selects and file inputs sharing the same name.
+  return [].concat(...values);
+}
+
+/**
+ * Sets the value of the field(s) of form named name, in the same format as the one returned by getFieldValue.
+ *
+ * Checkboxes and radios are checked if their value is part of value.
+ * Elements of other groups receive the value matching their position in the group.
+ *
+ * @param {!HTMLFormElement} form The form.
+ * @param {!string} name The name (or id) of the field.
+ * @param {?(string|Array<string>)} value The new value of the field.
+ * @returns {void}
+ */
+export function setFieldValue(form, name, value) {
+  assertForm(form);
+
+  const elements = getField(form, name);
+  if (elements === null) {
+    throw new TypeError(`[dom-unoverride] The form has no field named ${JSON.stringify(name)}.`);
+  }
+
+  if (elements.length === 1) {
+    setElementValue(elements[0], value);
+
+    return;
+  }
+
+  const values = toValueList(value);
+  let index = 0;
+  elements.forEach(element => {
+    if (isCheckable(element) || isMultipleSelect(element)) {
+      setElementValue(element, values);
+    } else {
+      setElementValue(element, index < values.length ? values[index] : null);
+      index++;
+    }
+  });
+}
+
+/**
+ * Returns the values of all the named fields of form, indexed by name.
+ *
+ * @param {!HTMLFormElement} form The form.
+ * @returns {!Object<string, (string|Array<string>|Array<File>)>} The values, null for fields without one.
+ *  The object has no prototype, fields can be named after the members of Object.prototype.
+ */
+export function getFieldValues(form) {
+  assertForm(form);
+
+  const values = Object.create(null);
+
+  Array.from(getFormProperty(form, 'elements')).forEach(element => {
+    const name = getAttribute(element, 'name');
+    if (!name || Reflect.has(values, name)) {
+      return;
+    }
+
+    values[name] = getFieldValue(form, name);
+  });
+
+  return values;
+}
@@ -0,0 +1,146 @@
+import { callIntrinsic, getIntrinsicProperty, getOwnerDocument } from './realm';
+import { assertForm, HTML_NAMESPACE } from './common';
+
+/*
+ * <button name="submit"> or <input name="reset"> replace the methods of their form, and calling the method found
+ * with getProperty would call it on the wrong `this`. These helpers call the implementations of HTMLFormElement.prototype
+ * directly, which never requires hiding the overriding elements.
+ */
+
+// submitter attribute => [property of the submitter, property of the form]
+const SUBMISSION_ATTRIBUTES = {
+  formaction: ['formAction', 'action'],
+  formmethod: ['formMethod', 'method'],
+  formenctype: ['formEnctype', 'enctype'],
+  formtarget: ['formTarget', 'target'],
+};
+
+function assertSubmitter(form, submitter) {
+  // the submitter is detached while it is hidden by a sanitizer (e.g. inside withSanitized).
+  if (!getIntrinsicProperty(submitter, 'Node', 'isConnected')) {
+    throw new TypeError('[dom-unoverride] The submitter must be attached to the document.');
+  }
+
+  if (submitter.form !== form || (submitter.type !== 'submit' && submitter.type !== 'image')) {
+    throw new TypeError('[dom-unoverride] The submitter must be a submit button of the form.');
+  }
+}
+
+function hasAttribute(element, name) {
+  return callIntrinsic(element, 'Element', 'hasAttribute', name);
+}
+
+/**
+ * Submits form, without firing the submit event nor checking its validity (HTMLFormElement#submit).
+ *
+ * @param {!HTMLFormElement} form The form to submit.
+ * @returns {void}
+ */
+export function submitForm(form) {
+  assertForm(form);
+
+  callIntrinsic(form, 'HTMLFormElement', 'submit');
+}
+
+/**
+ * Submits form as if submitter had been clicked: the validity of the form is checked,
+ * and the submit event is fired (HTMLFormElement#requestSubmit).
+ *
+ * @param {!HTMLFormElement} form The form to submit.
+ * @param {?HTMLElement=} submitter A submit button of the form, attached to the document.
+ * @returns {void}
+ */
+export function requestSubmit(form, submitter = null) {
+  assertForm(form);
+
+  if (submitter !== null) {
+    assertSubmitter(form, submitter);
+  }
+
+  if (typeof getIntrinsicProperty(form, 'HTMLFormElement', 'requestSubmit') === 'function') {
+    // some implementations (jsdom) do not accept null as the submitter.
+    const args = submitter === null ? [] : [submitter];
+    callIntrinsic(form, 'HTMLFormElement', 'requestSubmit', ...args);
+
+    return;
+  }
+
+  // older implementations: clicking a submit button does the same.
+  if (submitter !== null) {
+    callIntrinsic(submitter, 'HTMLElement', 'click');
+
+    return;
+  }
+
+  const ownerDocument = getOwnerDocument(form);
+  const temporarySubmitter = callIntrinsic(ownerDocument, 'Document', 'createElementNS', HTML_NAMESPACE, 'input');
+  temporarySubmitter.type = 'submit';
+  temporarySubmitter.hidden = true;
+
+  callIntrinsic(form, 'Node', 'appendChild', temporarySubmitter);
+  try {
+    callIntrinsic(temporarySubmitter, 'HTMLElement', 'click');
+  } finally {
+    callIntrinsic(form, 'Node', 'removeChild', temporarySubmitter);
+  }
+}
+
+/**
+ * Resets the controls of form to their default value (HTMLFormElement#reset).
+ *
+ * @param {!HTMLFormElement} form The form to reset.
+ * @returns {void}
+ */
+export function resetForm(form) {
+  assertForm(form);
+
+  callIntrinsic(form, 'HTMLFormElement', 'reset');
+}
+
+/**
+ * Checks whether the controls of form satisfy their constraints (HTMLFormElement#checkValidity).
+ *
+ * @param {!HTMLFormElement} form The form to check.
+ * @returns {!boolean} Whether the form is valid.
+ */
+export function checkValidity(form) {
+  assertForm(form);
+
+  return callIntrinsic(form, 'HTMLFormElement', 'checkValidity');
+}
+
+/**
+ * Same as checkValidity, but also reports the problems to the user (HTMLFormElement#reportValidity).
+ *
+ * @param {!HTMLFormElement} form The form to check.
+ * @returns {!boolean} Whether the form is valid.
+ */
+export function reportValidity(form) {
+  assertForm(form);
+
+  return callIntrinsic(form, 'HTMLFormElement', 'reportValidity');
+}
+
+/**
+ * Returns the action, method, enctype and target form would be submitted with.
+ * The formaction, formmethod, formenctype and formtarget attributes of submitter take precedence over the form's.
+ *
+ * @param {!HTMLFormElement} form The form.
+ * @param {?HTMLElement=} submitter A submit button of the form.
+ * @returns {!{ action: string, method: string, enctype: string, target: string }} The submission attributes.
+ */
+export function getSubmissionAttributes(form, submitter = null) {
+  assertForm(form);
+
+  const attributes = {};
+  Object.keys(SUBMISSION_ATTRIBUTES).forEach(attributeName => {
+    const [submitterProperty, formProperty] = SUBMISSION_ATTRIBUTES[attributeName];
+
+    // the reflected properties of the submitter default to the document's URL, "get", ... when the attribute is missing.
+    attributes[formProperty] = submitter !== null && hasAttribute(submitter, attributeName)
+      ? submitter[submitterProperty]
+      : getIntrinsicProperty(form, 'HTMLFormElement', formProperty);
+  });
+
+  return attributes;
+}
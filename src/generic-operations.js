@@ -3,7 +3,7 @@ export function getProperty(form, property) {
 }
 
 export function setProperty(object, property, value) {
-  object[property] = value;
+  return Reflect.set(object, property, value);
 }
 
 export function hasProperty(object, property) {
@@ -16,9 +16,33 @@ export function getOwnPropertyDescriptor(object, property) {
 }
 
 export function defineProperty(object, property, value) {
-  return Object.defineProperty(object, property, value);
+  return Reflect.defineProperty(object, property, value);
 }
 
 export function deleteProperty(object, property) {
-  delete object[property];
+  return Reflect.deleteProperty(object, property);
+}
+
+export function getOwnKeys(object) {
+  return Reflect.ownKeys(object);
+}
+
+export function explainOverride() {
+  return null;
+}
+
+export function findOverrides() {
+  return [];
+}
+
+export function getOverridingElements() {
+  return [];
+}
+
+export function getNamedItem() {
+  return null;
+}
+
+export function getNamedItems() {
+  return new Map();
 }
@@ -1,41 +1,68 @@
-import * as formSanitizer from './HTMLFormElement';
-import * as documentSanitizer from './Document';
-import * as noSanitizer from './generic-operations';
-import { isDocument, isHtmlForm } from './common';
+import * as collectionSanitizer from './HTMLCollection';
+import * as datasetSanitizer from './DOMStringMap';
+import { hasCustomElements, withHiddenElements } from './common';
+import {
+  defineProperty as reflectDefineProperty,
+  deleteProperty as reflectDeleteProperty,
+  explainOverride,
+  findOverrides,
+  getNamedItem,
+  getNamedItems,
+  getOwnKeys,
+  getOwnPropertyDescriptor,
+  getProperty,
+  getSanitizer,
+  hasProperty,
+  setProperty as reflectSetProperty,
+} from './sanitizers';
+import { watchOverrides } from './watch-overrides';
+import { detectCapabilities } from './capabilities';
+import { cacheOverrides } from './override-cache';
+import { setInstrumentation } from './instrumentation';
+import { isSanitizerMutation, onSanitizerSwap } from './placeholders';
+import {
+  checkValidity,
+  getSubmissionAttributes,
+  reportValidity,
+  requestSubmit,
+  resetForm,
+  submitForm,
+} from './form-submission';
+import { getFieldValue, getFieldValues, setFieldValue } from './form-fields';
+import { callMethod, getMethod } from './methods';
+import { isSanitized, sanitizeNode, unwrap } from './proxies';
 
-function delegate(callback) {
+// the sanitizers report failures like Reflect does, the helpers throw like the operators do in strict mode code.
 
-  return function delegated(form, property, thirdArg) {
+function setProperty(node, property, value) {
+  if (!reflectSetProperty(node, property, value)) {
+    throw new TypeError(`[dom-unoverride] Cannot set ${String(property)}.`);
+  }
+}
 
-    const sanitizer = isHtmlForm(form)
-      ? formSanitizer : isDocument(form)
-        ? documentSanitizer
-        : noSanitizer;
+function defineProperty(node, property, descriptor) {
+  if (!reflectDefineProperty(node, property, descriptor)) {
+    throw new TypeError(`[dom-unoverride] Cannot define ${String(property)}.`);
+  }
 
-    return sanitizer[callback](form, property, thirdArg);
-  };
+  return node;
 }
 
-const getProperty = delegate('getProperty');
-const setProperty = delegate('setProperty');
-const hasProperty = delegate('hasProperty');
-const getOwnPropertyDescriptor = delegate('getOwnPropertyDescriptor');
-const defineProperty = delegate('defineProperty');
-const deleteProperty = delegate('deleteProperty');
-const getOwnKeys = delegate('getOwnKeys');
-
-const proxyHandler = {
-  get: getProperty,
-  set: setProperty,
-  has: hasProperty,
-  getOwnPropertyDescriptor,
-  defineProperty,
-  deleteProperty,
-  ownKeys: getOwnKeys,
-};
+function deleteProperty(node, property) {
+  if (!reflectDeleteProperty(node, property)) {
+    throw new TypeError(`[dom-unoverride] Cannot delete ${String(property)}.`);
+  }
+}
+
+const getCollectionItem = collectionSanitizer.getCollectionItem;
+const getDatasetEntries = datasetSanitizer.getDatasetEntries;
+
+function withSanitized(node, callback) {
+  // custom elements stay attached, the sanitized node resolves their overrides without hiding them.
+  const overridingElements = getSanitizer(node).getOverridingElements(node)
+    .filter(element => !hasCustomElements(element));
 
-function sanitizeNode(node) {
-  return new Proxy(node, proxyHandler);
+  return withHiddenElements(overridingElements, () => callback(sanitizeNode(node)), 'scoped');
 }
 
 export {
@@ -47,4 +74,30 @@ export {
   deleteProperty,
   getOwnKeys,
   sanitizeNode,
+  unwrap,
+  isSanitized,
+  withSanitized,
+  findOverrides,
+  explainOverride,
+  getNamedItem,
+  getNamedItems,
+  watchOverrides,
+  cacheOverrides,
+  isSanitizerMutation,
+  onSanitizerSwap,
+  setInstrumentation,
+  detectCapabilities,
+  getCollectionItem,
+  getDatasetEntries,
+  submitForm,
+  requestSubmit,
+  resetForm,
+  checkValidity,
+  reportValidity,
+  getSubmissionAttributes,
+  getFieldValue,
+  setFieldValue,
+  getFieldValues,
+  getMethod,
+  callMethod,
 };
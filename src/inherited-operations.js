@@ -0,0 +1,35 @@
+import { getBuiltInsPrototype, isBuiltIn, UNRESOLVED } from './common';
+
+/*
+ * Named properties are own properties of forms and documents, and live on the "named properties object" for windows.
+ * Built-ins are further down the prototype chain: these operations look them up from there
+ * and apply them to the node itself, without having to remove the overriding elements from the DOM.
+ */
+
+export function getInheritedProperty(node, property) {
+  return Reflect.get(getBuiltInsPrototype(node), property, node);
+}
+
+export function setInheritedProperty(node, property, value) {
+  // setters are called on the node. Data properties need to be created on the node itself,
+  // which forms and documents refuse to do as long as an element of the same name exists.
+  const isSet = Reflect.set(getBuiltInsPrototype(node), property, value, node);
+
+  return isSet ? true : UNRESOLVED;
+}
+
+export function hasInheritedProperty(node, property) {
+  return isBuiltIn(node, property);
+}
+
+export function getInheritedOwnPropertyDescriptor() {
+  // built-ins are never own properties of forms and documents, and named properties are never own properties of windows:
+  // once the overriding elements are hidden, the node has no own property of that name.
+  // (the same goes for the entries of collections and the data attributes of datasets, which shadow their prototype)
+  return void 0;
+}
+
+export function deleteInheritedProperty() {
+  // same reason, there is nothing left to delete once the overriding elements are hidden.
+  return true;
+}
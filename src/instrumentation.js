@@ -0,0 +1,95 @@
+/*
+ * Opt-in reports of what the sanitizers do, for performance telemetry.
+ * While no instrumentation is set, the sanitizers only ever compare it to null.
+ */
+
+// { onSanitize, onSwap } given to setInstrumentation.
+let instrumentation = null;
+
+// the operation being reported. The operations it starts are part of it, they are not reported on their own.
+let currentFrame = null;
+
+const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
+  ? () => performance.now()
+  : () => Date.now();
+
+/**
+ * Sets the functions receiving the reports of the sanitizers, or disables them.
+ *
+ * @param {?{ onSanitize: ?function(Object), onSwap: ?function(Object) }} hooks
+ *  onSanitize is called after each operation with { operation, target, key, strategy, elements, duration },
+ *  onSwap after each swap of elements with placeholders with { strategy, elements, duration }. null disables them.
+ */
+export function setInstrumentation(hooks) {
+  instrumentation = hooks || null;
+}
+
+export function isInstrumented() {
+  // the operations started by the one being reported (e.g. getProperty(element, 'id') to resolve a window property).
+  return instrumentation !== null && typeof instrumentation.onSanitize === 'function' && currentFrame === null;
+}
+
+export function instrumentOperation(operation, target, key, run) {
+  const onSanitize = instrumentation.onSanitize;
+  const frame = { operation, target, key, strategy: 'passthrough', elements: 0, duration: 0 };
+
+  currentFrame = frame;
+  const start = now();
+
+  try {
+    return run();
+  } finally {
+    frame.duration = now() - start;
+    currentFrame = null;
+    onSanitize(frame);
+  }
+}
+
+/**
+ * Records how the current operation has been resolved.
+ *
+ * @param {!Object} target The node of the operation.
+ * @param {*} key The key of the operation. Lookups of other keys (e.g. form.elements) are internal, they are ignored.
+ * @param {!string} strategy 'inherited', 'single', 'collection' or 'indices'.
+ * @param {!number} elementCount The number of elements detached.
+ */
+export function recordStrategy(target, key, strategy, elementCount) {
+  if (currentFrame === null || currentFrame.target !== target || currentFrame.key !== key) {
+    return;
+  }
+
+  // hiding an input then an image of the same name is reported once, with both elements.
+  if (currentFrame.strategy === 'passthrough' || currentFrame.strategy === 'inherited') {
+    currentFrame.strategy = strategy;
+  }
+
+  currentFrame.elements += elementCount;
+}
+
+export function beginSwap(strategy, elements) {
+  if (instrumentation === null || typeof instrumentation.onSwap !== 'function' || elements.length === 0) {
+    return null;
+  }
+
+  return { onSwap: instrumentation.onSwap, strategy, elements, duration: 0, start: now() };
+}
+
+// the time spent between hiding and restoring the elements belongs to the operation, not to the swap.
+export function pauseSwap(swap) {
+  if (swap !== null) {
+    swap.duration += now() - swap.start;
+  }
+}
+
+export function resumeSwap(swap) {
+  if (swap !== null) {
+    swap.start = now();
+  }
+}
+
+export function endSwap(swap) {
+  if (swap !== null) {
+    pauseSwap(swap);
+    swap.onSwap({ strategy: swap.strategy, elements: swap.elements, duration: swap.duration });
+  }
+}
@@ -0,0 +1,77 @@
+import { getInheritedProperty } from './inherited-operations';
+import { getToStringTag, hasOwnProperty, isWindow } from './common';
+
+// node => (method => method bound to node)
+const boundMethods = new WeakMap();
+
+export function bindMethod(node, method) {
+  let nodeMethods = boundMethods.get(node);
+  if (!nodeMethods) {
+    nodeMethods = new WeakMap();
+    boundMethods.set(node, nodeMethods);
+  }
+
+  let boundMethod = nodeMethods.get(method);
+  if (!boundMethod) {
+    boundMethod = method.bind(node);
+    nodeMethods.set(method, boundMethod);
+  }
+
+  return boundMethod;
+}
+
+export function isMethod(value) {
+  // constructors (e.g. window.HTMLFormElement) have a prototype property, methods don't.
+  return typeof value === 'function' && !hasOwnProperty(value, 'prototype');
+}
+
+function getOwnMethod(object, name) {
+  const descriptor = Reflect.getOwnPropertyDescriptor(object, name);
+
+  return descriptor && typeof descriptor.value === 'function' ? descriptor.value : void 0;
+}
+
+function getWindowMethod(win, name) {
+  // the operations of [Global] interfaces (setTimeout, getComputedStyle, ...) are own properties of the window, and
+  // Window.prototype comes before the named properties object: both are skipped by the lookup of the built-ins.
+  // Named properties are elements, collections or windows, never functions.
+  return getOwnMethod(win, name)
+    || getOwnMethod(Object.getPrototypeOf(win), name)
+    || getInheritedProperty(win, name);
+}
+
+function getPrototypeMethod(node, name) {
+  // named properties (and expandos) are skipped by starting the lookup past them.
+  const method = isWindow(node) ? getWindowMethod(node, name) : getInheritedProperty(node, name);
+
+  if (typeof method !== 'function') {
+    throw new TypeError(`[dom-unoverride] ${getToStringTag(node)} has no method ${String(name)}.`);
+  }
+
+  return method;
+}
+
+/**
+ * Returns the implementation of a method provided by the prototype chain of node, bound to node.
+ * Elements (or expandos) shadowing the method are ignored.
+ *
+ * @param {!Object} node The node.
+ * @param {!(string|symbol)} name The name of the method.
+ * @returns {!Function} The method, bound to node. Getting the same method twice returns the same function.
+ */
+export function getMethod(node, name) {
+  return bindMethod(node, getPrototypeMethod(node, name));
+}
+
+/**
+ * Calls the implementation of a method provided by the prototype chain of node, with node as `this`.
+ * Elements (or expandos) shadowing the method are ignored.
+ *
+ * @param {!Object} node The node.
+ * @param {!(string|symbol)} name The name of the method.
+ * @param {...*} args The arguments of the method.
+ * @returns {*} The result of the method.
+ */
+export function callMethod(node, name, ...args) {
+  return Reflect.apply(getPrototypeMethod(node, name), node, args);
+}
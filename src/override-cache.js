@@ -0,0 +1,94 @@
+import { hasOwnProperty, isBuiltIn, isDocument, isHtmlForm, observeNamedElements } from './common';
+
+/*
+ * Detecting an override takes several DOM lookups (form.elements, namedItem, ...) for every operation.
+ * Once enabled on a form or document, the results are kept until the named elements of its tree change.
+ *
+ * MutationObservers are notified asynchronously: pending records are taken before every lookup,
+ * so a cached result is never used after the DOM changed, even within the same task.
+ * The swaps done by the sanitizers invalidate the cache too, the result depends on whether the elements are hidden.
+ */
+
+// node => { results: Map<string, boolean>, observer: MutationObserver, users: number }
+const caches = new WeakMap();
+
+function invalidate(cache) {
+  if (cache.observer.takeRecords().length > 0) {
+    cache.results.clear();
+  }
+}
+
+/**
+ * Adds the fast path and the cache to the override detection of a sanitizer.
+ *
+ * @param {!function(Object, (string|symbol)): boolean} isOverridden The override detection of the sanitizer.
+ * @returns {!function(Object, (string|symbol)): boolean} The same detection, cached when enabled on the node.
+ */
+export function withOverrideCache(isOverridden) {
+  return function isOverriddenCached(node, property) {
+    if (typeof property !== 'string') {
+      return isOverridden(node, property);
+    }
+
+    // named properties are own properties of forms and documents: a name that is neither one of their own properties
+    // nor a built-in has nothing to hide.
+    if (!isBuiltIn(node, property) && !hasOwnProperty(node, property)) {
+      return false;
+    }
+
+    const cache = caches.get(node);
+    if (!cache) {
+      return isOverridden(node, property);
+    }
+
+    invalidate(cache);
+
+    if (!cache.results.has(property)) {
+      cache.results.set(property, isOverridden(node, property));
+    }
+
+    return cache.results.get(property);
+  };
+}
+
+/**
+ * Caches which properties of node are overridden, until the elements that can be accessed by name change
+ * (elements added or removed, name, id, form or type attributes changed).
+ *
+ * @param {!(HTMLFormElement|Document)} node The form or document to cache the overrides of.
+ * @returns {!function()} Stops caching. The cache is dropped once every caller stopped.
+ */
+export function cacheOverrides(node) {
+  if (!isHtmlForm(node) && !isDocument(node)) {
+    throw new TypeError(
+      `[dom-unoverride] Expected an HTMLFormElement or a Document, got ${Object.prototype.toString.call(node)}`,
+    );
+  }
+
+  let cache = caches.get(node);
+  if (!cache) {
+    const results = new Map();
+    const observer = observeNamedElements(node, () => results.clear());
+
+    cache = { results, observer, users: 0 };
+    caches.set(node, cache);
+  }
+
+  cache.users++;
+
+  let stopped = false;
+
+  return function uncacheOverrides() {
+    if (stopped) {
+      return;
+    }
+
+    stopped = true;
+    cache.users--;
+
+    if (cache.users === 0) {
+      cache.observer.disconnect();
+      caches.delete(node);
+    }
+  };
+}
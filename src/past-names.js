@@ -0,0 +1,106 @@
+import { detectCapabilities } from './capabilities';
+import {
+  getAttribute,
+  getElementNames,
+  isHtmlForm,
+  isHtmlImage,
+  isIndiceProperty,
+  isNamedPropertyDescriptor,
+} from './common';
+import { getCollectionNamedItem } from './HTMLCollection';
+import { markSanitizerRename } from './placeholders';
+import { callIntrinsic, getIntrinsicProperty } from './realm';
+
+/*
+ * Once form[name] has returned an element, the form keeps returning it after it is renamed (its "past names map").
+ * Detaching the element drops it from the map for good: the sanitizers record its entries before hiding it,
+ * and add them back once it is restored, by naming it after them for as long as it takes to read form[name].
+ */
+
+function getFormOwner(element) {
+  if (isHtmlImage(element)) {
+    // images have no form attribute, they belong to the form they are in.
+    return callIntrinsic(element, 'Element', 'closest', 'form');
+  }
+
+  const form = element.form;
+
+  return isHtmlForm(form) ? form : null;
+}
+
+function isNameTaken(form, name) {
+  if (getCollectionNamedItem(getIntrinsicProperty(form, 'HTMLFormElement', 'elements'), name) !== null) {
+    return true;
+  }
+
+  const images = callIntrinsic(form, 'Element', 'getElementsByTagName', 'img');
+
+  return Array.from(images).some(image => getElementNames(image).includes(name));
+}
+
+/**
+ * Returns the past names of elements in the past names maps of their forms.
+ *
+ * @param {!Array<Element>} elements The elements about to be detached.
+ * @returns {!Array<{ form: HTMLFormElement, name: string, element: Element }>} The entries of the maps.
+ */
+export function getPastNames(elements) {
+  const forms = new Set();
+  elements.forEach(element => {
+    const form = getFormOwner(element);
+    if (form !== null && detectCapabilities(form).formPastNames) {
+      forms.add(form);
+    }
+  });
+
+  const entries = [];
+  forms.forEach(form => {
+    Reflect.ownKeys(form).forEach(name => {
+      if (typeof name !== 'string' || isIndiceProperty(name)) {
+        return;
+      }
+
+      const descriptor = Reflect.getOwnPropertyDescriptor(form, name);
+      if (!isNamedPropertyDescriptor(descriptor)) {
+        return;
+      }
+
+      const element = descriptor.value;
+      if (elements.includes(element) && !getElementNames(element).includes(name)) {
+        entries.push({ form, name, element });
+      }
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Adds the entries returned by getPastNames back to the past names maps, once their elements are back in place.
+ *
+ * @param {!Array<{ form: HTMLFormElement, name: string, element: Element }>} entries The entries.
+ * @returns {void}
+ */
+export function restorePastNames(entries) {
+  entries.forEach(({ form, name, element }) => {
+    // the element did not make it back into its form, or another element took the name in the meantime.
+    if (getFormOwner(element) !== form || isNameTaken(form, name)) {
+      return;
+    }
+
+    const currentName = getAttribute(element, 'name');
+
+    markSanitizerRename(element);
+    callIntrinsic(element, 'Element', 'setAttribute', 'name', name);
+
+    try {
+      void Reflect.get(form, name);
+    } finally {
+      if (currentName === null) {
+        callIntrinsic(element, 'Element', 'removeAttribute', 'name');
+      } else {
+        callIntrinsic(element, 'Element', 'setAttribute', 'name', currentName);
+      }
+    }
+  });
+}
@@ -1,16 +1,134 @@
-// const placeholders = [];
+import { HTML_NAMESPACE } from './common';
+import { callIntrinsic, getMutationObserver, getOwnerDocument } from './realm';
 
-export function getPlaceholder() {
-  return makePlaceholder();
+// lets stylesheets, selectors and serializers recognise placeholders. isPlaceholder does not rely on it.
+export const PLACEHOLDER_ATTRIBUTE = 'data-dom-unoverride-placeholder';
+
+// placeholders are detached when freed, keep a few around (per document) to reuse them.
+const MAX_POOL_SIZE = 50;
+const pools = new WeakMap();
+
+const placeholders = new WeakSet();
+
+// element renamed to restore its past names (see ./past-names) => renames whose records are not delivered yet.
+const renamedElements = new WeakMap();
+
+// { before, after } registered with onSanitizerSwap.
+const swapHooks = [];
+
+export function isPlaceholder(node) {
+  return placeholders.has(node);
+}
+
+/**
+ * Checks whether a MutationRecord was caused by the sanitizers swapping elements with their placeholders.
+ *
+ * @param {!MutationRecord} record The record, as received by a MutationObserver.
+ * @returns {!boolean} Whether the sanitizers caused it.
+ */
+export function isSanitizerMutation(record) {
+  if (record.type === 'attributes') {
+    return record.attributeName === 'name' && renamedElements.has(record.target);
+  }
+
+  // placeholders are only ever inserted and removed by the sanitizers, alongside the element they replace.
+  return Array.from(record.addedNodes).some(isPlaceholder) || Array.from(record.removedNodes).some(isPlaceholder);
+}
+
+/**
+ * Marks the name attribute records of an element as caused by the sanitizers, until the observers are notified.
+ *
+ * @param {!Element} element The element about to be renamed.
+ * @returns {void}
+ */
+export function markSanitizerRename(element) {
+  renamedElements.set(element, (renamedElements.get(element) || 0) + 1);
+
+  // observers are notified in the order they were created: this one is notified after every observer of the rename.
+  const NodeMutationObserver = getMutationObserver(element);
+  const observer = new NodeMutationObserver(() => {
+    observer.disconnect();
+
+    const count = renamedElements.get(element) - 1;
+    if (count === 0) {
+      renamedElements.delete(element);
+    } else {
+      renamedElements.set(element, count);
+    }
+  });
+  observer.observe(element, { attributes: true, attributeFilter: ['name'] });
 }
 
-export function freePlaceholder() {
-  // TODO placeholder cache?
+/**
+ * Registers functions called around every swap of elements with placeholders.
+ *
+ * @param {{ before: ?function(Array<Element>), after: ?function(Array<Element>) }} hooks before is called with the
+ *  elements right before they are hidden, after once they are back in place. Swaps can be nested.
+ * @returns {!function()} Unregisters the hooks.
+ */
+export function onSanitizerSwap(hooks) {
+  swapHooks.push(hooks);
+
+  return function offSanitizerSwap() {
+    const index = swapHooks.indexOf(hooks);
+    if (index !== -1) {
+      swapHooks.splice(index, 1);
+    }
+  };
+}
+
+export function notifySwap(phase, elements) {
+  if (elements.length === 0) {
+    return;
+  }
+
+  // copied: a hook can unregister itself.
+  swapHooks.slice().forEach(hooks => {
+    if (typeof hooks[phase] === 'function') {
+      hooks[phase](elements);
+    }
+  });
+}
+
+/**
+ * Returns a hidden element that can take the place of an element.
+ *
+ * @param {!Element} element The element the placeholder replaces.
+ *  The placeholder belongs to its document, using one from another document would adopt it.
+ * @returns {!HTMLElement} The placeholder.
+ */
+export function getPlaceholder(element) {
+  const ownerDocument = getOwnerDocument(element);
+
+  const pool = pools.get(ownerDocument);
+  if (pool && pool.length > 0) {
+    return pool.pop();
+  }
+
+  return makePlaceholder(ownerDocument);
+}
+
+export function freePlaceholder(placeholder) {
+  const ownerDocument = placeholder.ownerDocument;
+
+  let pool = pools.get(ownerDocument);
+  if (!pool) {
+    pool = [];
+    pools.set(ownerDocument, pool);
+  }
+
+  if (pool.length < MAX_POOL_SIZE) {
+    pool.push(placeholder);
+  }
 }
 
-function makePlaceholder() {
-  const placeholder = document.createElement('div');
+function makePlaceholder(ownerDocument) {
+  // Use the prototype in case createElementNS has been overridden by a named element.
+  // The namespace is required for XML documents to create an element that has a style.
+  const placeholder = callIntrinsic(ownerDocument, 'Document', 'createElementNS', HTML_NAMESPACE, 'div');
   placeholder.style.display = 'none';
+  callIntrinsic(placeholder, 'Element', 'setAttribute', PLACEHOLDER_ATTRIBUTE, '');
+  placeholders.add(placeholder);
 
   return placeholder;
 }
@@ -0,0 +1,179 @@
+import { hasOwnProperty, isCollection, isDataset, isIndiceProperty, isWindow } from './common';
+import { getCollectionItem } from './HTMLCollection';
+import { bindMethod, isMethod } from './methods';
+import { implementsInterface } from './realm';
+import {
+  defineProperty,
+  deleteProperty,
+  getOwnKeys,
+  getOwnPropertyDescriptor,
+  getProperty,
+  hasProperty,
+  setProperty,
+} from './sanitizers';
+
+// proxy => node
+const proxyTargets = new WeakMap();
+
+// node => its proxy, one per mode.
+const shallowProxies = new WeakMap();
+const deepProxies = new WeakMap();
+
+// node => (method => method called on node with unwrapped arguments, sanitizing its result)
+const deepMethods = new WeakMap();
+
+function isSanitizable(value) {
+  if (value === null || typeof value !== 'object' || proxyTargets.has(value)) {
+    return false;
+  }
+
+  return implementsInterface(value, 'Node')
+    || implementsInterface(value, 'NodeList')
+    || isWindow(value)
+    || isCollection(value)
+    || isDataset(value);
+}
+
+function sanitizeDeep(value) {
+  return isSanitizable(value) ? sanitizeNode(value, { deep: true }) : value;
+}
+
+function isInvariant(node, property) {
+  // the get trap must return the value of non-configurable, read-only data properties as-is.
+  const descriptor = Reflect.getOwnPropertyDescriptor(node, property);
+
+  return descriptor !== void 0 && !descriptor.configurable && !descriptor.writable && hasOwnProperty(descriptor, 'value');
+}
+
+function sanitizeIterator(iterator) {
+  return {
+    next() {
+      const result = iterator.next();
+
+      return { done: result.done, value: sanitizeDeep(result.value) };
+    },
+    [Symbol.iterator]() {
+      return this;
+    },
+  };
+}
+
+function getDeepMethod(node, property, method) {
+  let nodeMethods = deepMethods.get(node);
+  if (!nodeMethods) {
+    nodeMethods = new WeakMap();
+    deepMethods.set(node, nodeMethods);
+  }
+
+  let deepMethod = nodeMethods.get(method);
+  if (!deepMethod) {
+    // DOM methods throw if given proxies (safeDocument.body.contains(safeForm)), they are given the nodes instead.
+    deepMethod = property === Symbol.iterator
+      ? () => sanitizeIterator(Reflect.apply(method, node, []))
+      : (...args) => sanitizeDeep(Reflect.apply(method, node, args.map(unwrap)));
+    nodeMethods.set(method, deepMethod);
+  }
+
+  return deepMethod;
+}
+
+const shallowHandler = {
+  get(node, property) {
+    const value = getProperty(node, property);
+
+    // DOM methods throw if called on the proxy, they need to be called on the node itself.
+    return isMethod(value) ? bindMethod(node, value) : value;
+  },
+  set(node, property, value) {
+    return setProperty(node, property, value);
+  },
+
+  // ./sanitizers imports this module indirectly: its functions are not defined yet when the handlers are.
+  has(node, property) {
+    return hasProperty(node, property);
+  },
+  getOwnPropertyDescriptor(node, property) {
+    return getOwnPropertyDescriptor(node, property);
+  },
+  defineProperty(node, property, descriptor) {
+    return defineProperty(node, property, descriptor);
+  },
+  deleteProperty(node, property) {
+    return deleteProperty(node, property);
+  },
+  ownKeys(node) {
+    return getOwnKeys(node);
+  },
+  getPrototypeOf: Reflect.getPrototypeOf,
+  setPrototypeOf: Reflect.setPrototypeOf,
+  isExtensible: Reflect.isExtensible,
+  preventExtensions: Reflect.preventExtensions,
+};
+
+const deepHandler = Object.assign({}, shallowHandler, {
+  get(node, property) {
+    // indices never collide with members, unlike names the entries of collections can be read through the proxy.
+    const value = isCollection(node) && isIndiceProperty(property)
+      ? getCollectionItem(node, property) || void 0
+      : getProperty(node, property);
+
+    if (isInvariant(node, property)) {
+      return value;
+    }
+
+    return isMethod(value) ? getDeepMethod(node, property, value) : sanitizeDeep(value);
+  },
+  set(node, property, value) {
+    return setProperty(node, property, unwrap(value));
+  },
+  defineProperty(node, property, descriptor) {
+    const nodeDescriptor = hasOwnProperty(descriptor, 'value')
+      ? Object.assign({}, descriptor, { value: unwrap(descriptor.value) })
+      : descriptor;
+
+    return defineProperty(node, property, nodeDescriptor);
+  },
+});
+
+/**
+ * Returns the node behind a proxy created by sanitizeNode, to hand it to native APIs.
+ *
+ * @param {*} value The proxy.
+ * @returns {*} The node, or value itself if it is not a sanitized proxy.
+ */
+export function unwrap(value) {
+  return proxyTargets.has(value) ? proxyTargets.get(value) : value;
+}
+
+/**
+ * Checks whether value is a proxy created by sanitizeNode.
+ *
+ * @param {*} value The value to check.
+ * @returns {!boolean} Whether value is a sanitized proxy.
+ */
+export function isSanitized(value) {
+  return proxyTargets.has(value);
+}
+
+/**
+ * Creates a proxy around node that ignores the elements overriding its built-ins.
+ * A node has one proxy per mode: sanitizing it twice returns the same proxy.
+ *
+ * @param {!Object} node The node (or a proxy of it).
+ * @param {{ deep: ?boolean }=} options deep also sanitizes the nodes, collections and windows read through the
+ *  proxy or returned by its methods, and unwraps the proxies given to them.
+ * @returns {!Proxy} The proxy.
+ */
+export function sanitizeNode(node, options = {}) {
+  const target = unwrap(node);
+  const proxies = options.deep ? deepProxies : shallowProxies;
+
+  let proxy = proxies.get(target);
+  if (!proxy) {
+    proxy = new Proxy(target, options.deep ? deepHandler : shallowHandler);
+    proxies.set(target, proxy);
+    proxyTargets.set(proxy, target);
+  }
+
+  return proxy;
+}
@@ -0,0 +1,107 @@
+/*
+ * Nodes can belong to other documents (iframes, DOMParser, template contents, ...), other realms,
+ * or other DOM implementations altogether (jsdom, happy-dom, ...), which do not necessarily expose globals.
+ *
+ * The DOM methods used on a node are therefore looked up on its own prototype chain,
+ * and the elements it needs are created by its own document.
+ */
+
+// prototype of a node => (interface name => prototype of that interface in the node's prototype chain)
+const interfacePrototypes = new WeakMap();
+
+function findInterfacePrototype(prototype, interfaceName) {
+  let current = prototype;
+
+  while (current !== null) {
+    // prototypes cannot have named properties, their constructor is safe to access.
+    if (Object.prototype.hasOwnProperty.call(current, 'constructor') && current.constructor.name === interfaceName) {
+      return current;
+    }
+
+    current = Object.getPrototypeOf(current);
+  }
+
+  return null;
+}
+
+function getInterfacePrototype(node, interfaceName) {
+  const prototype = Object.getPrototypeOf(node);
+  if (prototype === null) {
+    return null;
+  }
+
+  let prototypes = interfacePrototypes.get(prototype);
+  if (!prototypes) {
+    prototypes = new Map();
+    interfacePrototypes.set(prototype, prototypes);
+  }
+
+  if (!prototypes.has(interfaceName)) {
+    prototypes.set(interfaceName, findInterfacePrototype(prototype, interfaceName));
+  }
+
+  return prototypes.get(interfaceName);
+}
+
+/**
+ * Checks whether value implements an interface, including through a subclass
+ * (e.g. the instances of Image are HTMLImageElements, but their constructor is named differently in happy-dom).
+ *
+ * @param {*} value The value to check.
+ * @param {!string} interfaceName The name of the interface (e.g. 'HTMLImageElement').
+ * @returns {!boolean} Whether value implements the interface.
+ */
+export function implementsInterface(value, interfaceName) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return false;
+  }
+
+  return getInterfacePrototype(value, interfaceName) !== null;
+}
+
+/**
+ * Calls the implementation of a method provided by one of the interfaces of node.
+ *
+ * @param {!Object} node The node to call the method on.
+ * @param {!string} interfaceName The name of the interface declaring the method (e.g. 'Node').
+ * @param {!string} methodName The name of the method.
+ * @param {...*} args The arguments of the method.
+ * @returns {*} The result of the method.
+ */
+export function callIntrinsic(node, interfaceName, methodName, ...args) {
+  const prototype = getInterfacePrototype(node, interfaceName);
+
+  return Reflect.apply(prototype[methodName], node, args);
+}
+
+/**
+ * Reads a property provided by one of the interfaces of node.
+ *
+ * @param {!Object} node The node to read the property of.
+ * @param {!string} interfaceName The name of the interface declaring the property (e.g. 'Node').
+ * @param {!string} property The name of the property.
+ * @returns {*} The value of the property.
+ */
+export function getIntrinsicProperty(node, interfaceName, property) {
+  const prototype = getInterfacePrototype(node, interfaceName);
+
+  // some implementations (e.g. linkedom) store properties on the node itself rather than using accessors.
+  if (prototype === null || !Reflect.has(prototype, property)) {
+    return node[property];
+  }
+
+  return Reflect.get(prototype, property, node);
+}
+
+export function getOwnerDocument(node) {
+  // ownerDocument can be overridden on forms. It is null for documents.
+  return getIntrinsicProperty(node, 'Node', 'ownerDocument') || node;
+}
+
+export function getMutationObserver(node) {
+  // the library can be loaded outside of the window it is used on (e.g. Node.js with jsdom), use the node's own.
+  // documents without a window (DOMParser, template contents, ...) fall back to the current one.
+  const view = getIntrinsicProperty(getOwnerDocument(node), 'Document', 'defaultView');
+
+  return view && view.MutationObserver || MutationObserver;
+}
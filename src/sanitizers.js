@@ -0,0 +1,63 @@
+import * as formSanitizer from './HTMLFormElement';
+import * as documentSanitizer from './Document';
+import * as windowSanitizer from './Window';
+import * as collectionSanitizer from './HTMLCollection';
+import * as datasetSanitizer from './DOMStringMap';
+import * as noSanitizer from './generic-operations';
+import { isCollection, isDataset, isDocument, isHtmlForm, isWindow } from './common';
+import { instrumentOperation, isInstrumented } from './instrumentation';
+
+/*
+ * The operations of the sanitizers, whatever the type of the node.
+ * Like Reflect, setProperty, defineProperty and deleteProperty return whether they succeeded:
+ * the proxies of sanitizeNode return it from their traps, the helpers of ./index throw instead.
+ */
+
+export function getSanitizer(node) {
+  if (isHtmlForm(node)) {
+    return formSanitizer;
+  }
+
+  if (isDocument(node)) {
+    return documentSanitizer;
+  }
+
+  if (isWindow(node)) {
+    return windowSanitizer;
+  }
+
+  if (isCollection(node)) {
+    return collectionSanitizer;
+  }
+
+  if (isDataset(node)) {
+    return datasetSanitizer;
+  }
+
+  return noSanitizer;
+}
+
+function delegate(callback) {
+
+  return function delegated(form, property, thirdArg) {
+    const sanitizer = getSanitizer(form);
+
+    if (!isInstrumented()) {
+      return sanitizer[callback](form, property, thirdArg);
+    }
+
+    return instrumentOperation(callback, form, property, () => sanitizer[callback](form, property, thirdArg));
+  };
+}
+
+export const getProperty = delegate('getProperty');
+export const setProperty = delegate('setProperty');
+export const hasProperty = delegate('hasProperty');
+export const getOwnPropertyDescriptor = delegate('getOwnPropertyDescriptor');
+export const defineProperty = delegate('defineProperty');
+export const deleteProperty = delegate('deleteProperty');
+export const getOwnKeys = delegate('getOwnKeys');
+export const findOverrides = delegate('findOverrides');
+export const explainOverride = delegate('explainOverride');
+export const getNamedItem = delegate('getNamedItem');
+export const getNamedItems = delegate('getNamedItems');
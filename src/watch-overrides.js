@@ -0,0 +1,70 @@
+import { isSanitizerMutation } from './placeholders';
+import { observeNamedElements } from './common';
+import { findOverrides } from './index';
+
+function indexOverrides(overrides) {
+  const index = new Map();
+  overrides.forEach(override => index.set(override.key, override));
+
+  return index;
+}
+
+function describeOverrides(root, overrides) {
+  const keys = overrides.map(override => {
+    const rules = override.matches.map(match => match.rule).join(', ');
+
+    return `${override.key} (${rules})`;
+  });
+
+  return `[dom-unoverride] Built-in properties of ${Object.prototype.toString.call(root)} are overridden: ${keys.join(', ')}`;
+}
+
+/**
+ * Calls callback every time a built-in of root becomes overridden, or stops being overridden.
+ *
+ * @param {!(HTMLFormElement|Document|Window)} root The node to watch.
+ * @param {?function({ overridden: Array<Object>, freed: Array<string> })} callback Receives the newly overridden
+ *  built-ins (in the same format as findOverrides), and the names of the built-ins that are no longer overridden.
+ * @param {{ mode: ?string }=} options mode 'warn' logs newly overridden built-ins in the console, 'throw' throws them.
+ * @returns {!function()} Stops watching.
+ */
+export function watchOverrides(root, callback, options = {}) {
+  let overrides = indexOverrides(findOverrides(root));
+
+  function onMutation(records) {
+    if (records.every(isSanitizerMutation)) {
+      return;
+    }
+
+    const nextOverrides = indexOverrides(findOverrides(root));
+
+    const overridden = Array.from(nextOverrides.values()).filter(override => !overrides.has(override.key));
+    const freed = Array.from(overrides.keys()).filter(key => !nextOverrides.has(key));
+
+    overrides = nextOverrides;
+
+    if (overridden.length === 0 && freed.length === 0) {
+      return;
+    }
+
+    if (callback) {
+      callback({ overridden, freed });
+    }
+
+    if (overridden.length === 0) {
+      return;
+    }
+
+    if (options.mode === 'warn') {
+      console.warn(describeOverrides(root, overridden)); // eslint-disable-line no-console
+    } else if (options.mode === 'throw') {
+      throw new Error(describeOverrides(root, overridden));
+    }
+  }
+
+  const observer = observeNamedElements(root, onMutation);
+
+  return function unwatch() {
+    observer.disconnect();
+  };
+}